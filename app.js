@@ -1,3 +1,7 @@
+// ?data=<dir>/ reads stops, timetable and stop JSON from a local drop (tools/build-stop-json.js) instead of R2
+const DATA_BASE=(new URLSearchParams(location.search).get('data')||'').replace(/([^/])$/,'$1/');
+const STOP_JSON_BASE=DATA_BASE ? `${DATA_BASE}stops/` : 'https://pub-aad94a89c9ea4f6390466b521c65d978.r2.dev/stops/';
+
 // Convert degrees to 8-point compass
 function degToCompass(deg) {
   const val = Math.floor((deg / 45) + 0.5);
@@ -23,7 +27,7 @@ function getDistanceAndBearing(lat1, lon1, lat2, lon2){
 
 // Load stops.geojson.gz
 async function loadStops(){
-  const resp=await fetch('stops.geojson.gz');
+  const resp=await fetch(`${DATA_BASE}stops.geojson.gz`);
   const compressed=new Uint8Array(await resp.arrayBuffer());
   const decompressed=pako.ungzip(compressed,{to:'string'});
   return JSON.parse(decompressed);
@@ -32,7 +36,7 @@ async function loadStops(){
 // Load stop JSON from R2
 async function loadStopJson(atcoCode){
   if(!atcoCode){ console.warn("Undefined AtcoCode"); return null;}
-  const url=`https://pub-aad94a89c9ea4f6390466b521c65d978.r2.dev/stops/${atcoCode}.json`;
+  const url=`${STOP_JSON_BASE}${atcoCode}.json`;
   try{
     const resp=await fetch(url);
     if(!resp.ok){ console.warn(`Stop ${atcoCode} not found`); return null;}
@@ -40,102 +44,69 @@ async function loadStopJson(atcoCode){
   }catch(err){ console.warn(`Error loading stop ${atcoCode}`,err); return null;}
 }
 
-// Load CSV text file
-async function loadCSV(path){
-  const resp=await fetch(path);
-  if(!resp.ok) throw new Error(`Cannot fetch ${path}`);
-  const text=await resp.text();
-  return text.split('\n').map(l=>l.split(','));
-}
-
-// Build GTFS mappings
-async function loadGTFSMapping(){
-  const dayMap=['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
-  const serviceMap={}; // service_id -> [days...]
-  const tripMap={};    // trip_id -> service_id
-
-  // calendar.txt
-  const calendar=await loadCSV('calendar.txt');
-  calendar.forEach(row=>{
-    const [service_id,sun,mon,tue,wed,thu,fri,sat,start_date,end_date]=row;
-    if(!service_id) return;
-    const days=[];
-    if(sun==='1') days.push('Sunday');
-    if(mon==='1') days.push('Monday');
-    if(tue==='1') days.push('Tuesday');
-    if(wed==='1') days.push('Wednesday');
-    if(thu==='1') days.push('Thursday');
-    if(fri==='1') days.push('Friday');
-    if(sat==='1') days.push('Saturday');
-    serviceMap[service_id]=days;
-  });
+let tripIndex=null; // trip-index.js client, created on first render
 
-  // calendar_dates.txt
-  const caldates=await loadCSV('calendar_dates.txt');
-  caldates.forEach(row=>{
-    const [service_id,date,exception_type]=row;
-    if(!service_id || !date) return;
-    if(!serviceMap[service_id]) serviceMap[service_id]=[];
-    const dt=new Date(date.slice(0,4)+'-'+date.slice(4,6)+'-'+date.slice(6,8));
-    const weekday=dayMap[dt.getDay()];
-    if(exception_type==='1'){ // added
-      if(!serviceMap[service_id].includes(weekday)) serviceMap[service_id].push(weekday);
-    } else if(exception_type==='2'){ // removed
-      serviceMap[service_id]=serviceMap[service_id].filter(d=>d!==weekday);
-    }
-  });
-
-  // trips.txt.gz
-  const tripsResp=await fetch('trips.txt.gz');
-  const tripsCompressed=new Uint8Array(await tripsResp.arrayBuffer());
-  const tripsText=pako.ungzip(tripsCompressed,{to:'string'});
-  const tripsLines=tripsText.split('\n');
-  tripsLines.forEach(line=>{
-    const cols=line.split(',');
-    const trip_id=cols[2]; // assuming GTFS order: route_id,service_id,trip_id,...
-    const service_id=cols[1];
-    if(trip_id && service_id) tripMap[trip_id]=service_id;
-  });
-
-  return {serviceMap,tripMap};
-}
-
-// Filter arrivals & attach weekdays
-function enrichArrivals(arrivals, tripMap, serviceMap){
+// Attach when each arrival's service runs (today, or the next running date)
+function enrichArrivals(arrivals, tripMap, calendar, now=new Date()){
   if(!arrivals) return [];
   return arrivals.map(a=>{
     const service_id=tripMap[a.trip_id];
-    const weekdays=service_id ? (serviceMap[service_id] || []) : [];
-    return {...a, weekdays};
+    if(!service_id) return {...a, service_id:null, runsToday:false, nextRun:null};
+    const runsToday=serviceRunsOn(calendar,service_id,now);
+    const nextRun=runsToday ? now : nextServiceDate(calendar,service_id,addDays(now,1));
+    return {...a, service_id, runsToday, nextRun};
   });
 }
 
-// Main render
+// "runs today" / "next runs tomorrow" / "next runs on Thu 25 Dec" (in the chosen language, see i18n.js)
+function describeServiceDay(a, now=new Date()){
+  if(!a.service_id) return t('service.unknown');
+  if(a.runsToday) return t('service.today');
+  if(!a.nextRun) return t('service.notRunning');
+  if(gtfsDateKey(a.nextRun)===gtfsDateKey(addDays(now,1))) return t('service.tomorrow');
+  return t('service.nextOn',{date:formatDate(a.nextRun)});
+}
+
+// Main render: a ?stop= link shows that stop, otherwise the nearest stops to the link's, device's or typed-in location
 async function renderStops(){
+  const container=document.getElementById('stops');
+  container.textContent=t('status.finding');
   const stopsData=await loadStops();
   if(!stopsData) return;
-
-  let userLoc;
-  try{ userLoc=await new Promise((res,rej)=>navigator.geolocation.getCurrentPosition(p=>res(p.coords),e=>rej(e))); }
-  catch(err){ console.error("Cannot get location:",err); document.getElementById('stops').textContent="Cannot determine location."; return;}
-
-  const stopsWithDistance=stopsData.features.map(f=>{
-    const lat=parseFloat(f.properties.Latitude);
-    const lon=parseFloat(f.properties.Longitude);
-    if(isNaN(lat)||isNaN(lon)){ console.warn("Invalid coordinates for stop:",f); return {...f,distance:Infinity,bearing:'?'} }
-    const {distance,bearing}=getDistanceAndBearing(userLoc.latitude,userLoc.longitude,lat,lon);
-    return {...f,distance,bearing};
+  const findStop=ref=>findStopByRef(stopsData.features,ref);
+
+  let start;
+  try{ start=await resolveStartLocation(findStop); }
+  catch(err){ container.textContent=err.message; return; }
+  if(start.stop) return renderStopCards([{...start.stop,distance:null,bearing:null}]);
+  if(start.error) showLocationPicker(document.getElementById('location-picker'),{message:t('location.failed',{message:start.error.message}),findStop,onChange:renderStops});
+  if(!start.coords){ container.textContent=t('location.unavailable'); return; }
+  const userLoc=start.coords;
+
+  const stopIndex=buildStopIndex(stopsData.features);
+  if(!indexCovers(stopIndex,userLoc.latitude,userLoc.longitude)){ container.textContent=t('location.outside'); return; }
+  const nearestStops=queryNearbyStops(stopIndex,userLoc.latitude,userLoc.longitude,readNearestOptions()).map(s=>{
+    const {bearing}=getDistanceAndBearing(userLoc.latitude,userLoc.longitude,s.lat,s.lon);
+    return {...s.feature,distance:s.distance,bearing};
   });
+  await renderStopCards(nearestStops);
+}
+
+// One card per stop ({...feature, distance, bearing}; distance null when there's no location)
+let shownCards=[]; // [{stopDiv, note, arrivalsUl, arrivals}] for re-rendering when the route filter changes
 
-  const nearestStops=stopsWithDistance.sort((a,b)=>a.distance-b.distance).slice(0,5);
+async function renderStopCards(stops){
   const container=document.getElementById('stops');
   container.innerHTML='';
+  shownCards=[];
 
-  const {serviceMap,tripMap}=await loadGTFSMapping();
+  // only the shown stops' trips are looked up (sharded index, parsed in a worker)
+  const calendar=await loadServiceCalendar(DATA_BASE);
+  tripIndex=tripIndex||createTripIndexClient(DATA_BASE);
 
-  for(const stop of nearestStops){
+  for(const stop of stops){
     const arrivals=await loadStopJson(stop.properties.AtcoCode);
-    const enriched=enrichArrivals(arrivals,tripMap,serviceMap);
+    if(arrivals) await tripIndex.lookup(arrivals.map(a=>a.trip_id));
 
     const atco=stop.properties.AtcoCode||'';
     const stopNumber=atco ? parseInt(atco.slice(-6),10) : 'unknown';
@@ -145,37 +116,80 @@ async function renderStops(){
     stopDiv.className='stop';
 
     const stopHeader=document.createElement('h3');
-    stopHeader.textContent=`${stop.properties.SCN_English||'Unknown'} (#${stopNumber})`;
+    stopHeader.textContent=`${stopName(stop.properties)} (#${stopNumber})`;
 
     const distanceEl=document.createElement('a');
     distanceEl.href=mapsLink;
     distanceEl.target='_blank';
-    distanceEl.textContent=`${stop.distance} m`;
+    distanceEl.textContent=stop.distance!=null ? `${stop.distance} m` : t('card.map');
 
     const bearingEl=document.createElement('span');
-    bearingEl.textContent=` (${stop.bearing})`;
+    bearingEl.textContent=stop.bearing ? ` (${compassLabel(stop.bearing)})` : '';
+
+    const note=document.createElement('span');
+    note.className='filtered-note';
+    note.textContent=t('routes.noneHere');
 
     stopDiv.appendChild(stopHeader);
     stopDiv.appendChild(distanceEl);
     stopDiv.appendChild(bearingEl);
+    stopDiv.appendChild(buildCopyLinkButton(stop));
+    stopDiv.appendChild(note);
+    stopDiv.appendChild(buildFacilityBadges(stop.properties));
 
     const arrivalsUl=document.createElement('ul');
-    if(!enriched.length){
-      const li=document.createElement('li');
-      li.textContent="No arrivals found.";
-      arrivalsUl.appendChild(li);
-    } else {
-      enriched.forEach(a=>{
-        const li=document.createElement('li');
-        const days=a.weekdays.length? a.weekdays.join(', ') : 'Unknown day';
-        li.textContent=`${a.route_short || '?'} → ${a.trip_headsign || '?'} at ${a.arrival_time || '?'} (${days})`;
-        arrivalsUl.appendChild(li);
-      });
-    }
-
     stopDiv.appendChild(arrivalsUl);
     container.appendChild(stopDiv);
+    const card={stopDiv,note,arrivalsUl,arrivals:arrivals||[]};
+    shownCards.push(card);
+    renderArrivals(card,tripIndex.tripMap,calendar,loadRouteFilter());
   }
+
+  const routes=shownCards.flatMap(c=>c.arrivals.map(a=>a.route_short));
+  const onFilter=filter=>{
+    for(const card of shownCards) renderArrivals(card,tripIndex.tripMap,calendar,filter);
+    renderRouteChips(document.getElementById('route-filter'),routes,filter,onFilter);
+  };
+  renderRouteChips(document.getElementById('route-filter'),routes,loadRouteFilter(),onFilter);
 }
 
-document.addEventListener('DOMContentLoaded', renderStops);
+// One row per route and headsign with its next few times today/tomorrow; routes not running by
+// then say when they next run. A stop with nothing on the chosen routes collapses to its header.
+function renderArrivals(card,tripMap,calendar,filter,now=new Date()){
+  const {stopDiv,note,arrivalsUl}=card;
+  const arrivals=card.arrivals.filter(a=>routeSelected(filter,a.route_short));
+  const fields={route:a=>a.route_short||'?',headsign:a=>a.trip_headsign||'?'};
+  const groups=groupDepartures(scheduledDepartures(arrivals,tripMap,calendar,now,{limit:Infinity}),fields);
+  const later=groupDepartures(enrichArrivals(arrivals,tripMap,calendar,now),{...fields,perGroup:1})
+    .filter(g=>!groups.some(x=>x.key===g.key));
+  const collapsed=filter.length>0 && !arrivals.length;
+  stopDiv.classList.toggle('collapsed',collapsed);
+  note.hidden=!collapsed;
+  arrivalsUl.innerHTML='';
+  if(!groups.length && !later.length){
+    const li=document.createElement('li');
+    li.textContent=t('arrivals.none');
+    arrivalsUl.appendChild(li);
+    return;
+  }
+  groups.forEach(g=>{
+    const li=document.createElement('li');
+    li.textContent=t('arrival.group',{route:g.route,headsign:g.headsign,times:g.departures.map(d=>formatTime(d.scheduled)).join(', ')});
+    arrivalsUl.appendChild(li);
+  });
+  later.forEach(g=>{
+    const a=g.departures[0];
+    const li=document.createElement('li');
+    li.textContent=`${t('arrival.at',{route:g.route,headsign:g.headsign,time:a.arrival_time||'?'})} (${describeServiceDay(a,now)})`;
+    arrivalsUl.appendChild(li);
+  });
+}
+
+// Offline support: sw.js caches the static GTFS files and stop schedules
+if('serviceWorker' in navigator) navigator.serviceWorker.register('sw.js').catch(err=>console.warn('Service worker registration failed:',err));
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  initLanguageToggle(renderStops);
+  initAccessFilter(document.getElementById('access-filter'),renderStops);
+  renderStops();
+});
@@ -32,56 +32,95 @@ async function loadStops() {
   return JSON.parse(decompressed);
 }
 
-// Fetch GTFS-RT TripUpdates from your worker
+// Fetch GTFS-RT TripUpdates from your worker (JSON or raw protobuf, see gtfs-rt.js)
 async function loadGTFSRT() {
-  const resp = await fetch('/workers/falling-firefly-fd90'); // Replace with your worker URL if needed
-  const data = await resp.json();
-  return data.entity || [];
+  const { arrivals } = await loadRealtimeFeed('/workers/falling-firefly-fd90'); // Replace with your worker URL if needed
+  return arrivals;
 }
 
-// Find arrivals for a stop by AtcoCode
-function getArrivalsForStop(stopId, entities) {
+// Find arrivals for a stop by AtcoCode; status is 'scheduled', 'added', 'cancelled' or 'skipped'
+function getArrivalsForStop(stopId, rtArrivals) {
+  const cancelled = cancelledTripIds(rtArrivals);
   const arrivals = [];
-  for (const e of entities) {
-    if (!e.tripUpdate) continue;
-    for (const stu of e.tripUpdate.stopTimeUpdate || []) {
-      if (stu.stopId === stopId && stu.arrival) {
-        const t = new Date(stu.arrival.time * 1000);
-        arrivals.push({
-          route_short: e.tripUpdate.trip.routeId,
-          trip_headsign: e.tripUpdate.trip.tripHeadsign || '',
-          arrival_time: t.toLocaleTimeString()
-        });
-      }
-    }
+  for (const a of rtArrivals) {
+    if (a.stop_id !== stopId) continue;
+    let status = 'scheduled';
+    if (cancelled.has(a.trip_id)) status = 'cancelled';
+    else if (a.stopRelationship === 'SKIPPED') status = 'skipped';
+    else if (a.tripRelationship === 'ADDED' || a.tripRelationship === 'UNSCHEDULED') status = 'added';
+    // a normal trip with no prediction here (e.g. NO_DATA) has nothing to show
+    if (status === 'scheduled' && a.arrivalTimestamp == null) continue;
+    arrivals.push({
+      route_short: a.route_id,
+      trip_headsign: a.trip_headsign || '',
+      arrival_time: a.arrivalTimestamp != null ? formatTime(new Date(a.arrivalTimestamp)) : '?',
+      status
+    });
   }
   return arrivals;
 }
 
-// Main render
+// One arrival row; cancelled rows are struck through and skipped ones greyed (see index2.html)
+function buildArrivalItem(a) {
+  const li = document.createElement('li');
+  li.textContent = t('arrival.at', { route: a.route_short, headsign: a.trip_headsign, time: a.arrival_time });
+  if (a.status === 'cancelled') {
+    li.className = 'cancelled';
+    li.textContent += ` ${t('arrival.cancelled')}`;
+  } else if (a.status === 'skipped') {
+    li.className = 'skipped';
+    li.textContent = t('arrival.skipped', { route: a.route_short, headsign: a.trip_headsign });
+  } else if (a.status === 'added') {
+    li.textContent += ` ${t('arrival.added')}`;
+  }
+  return li;
+}
+
+// Main render: a ?stop= link shows that stop, otherwise the nearest stops to the link's, device's or typed-in location
 async function renderStops() {
+  const container = document.getElementById('stops');
+  container.textContent = t('status.finding');
   const stopsData = await loadStops();
-  const userLoc = await new Promise((res, rej) => {
-    navigator.geolocation.getCurrentPosition(pos => res(pos.coords), err => rej(err));
-  });
-
-  const stopsWithDistance = stopsData.features.map(f => {
-    const {distance, bearing} = getDistanceAndBearing(
-      userLoc.latitude, userLoc.longitude,
-      parseFloat(f.properties.Latitude), parseFloat(f.properties.Longitude)
-    );
-    return {...f, distance, bearing};
-  });
-
-  const nearestStops = stopsWithDistance.sort((a,b) => a.distance - b.distance).slice(0,5);
+  const findStop = ref => findStopByRef(stopsData.features, ref);
+
+  let start;
+  try {
+    start = await resolveStartLocation(findStop);
+  } catch (err) {
+    container.textContent = err.message;
+    return;
+  }
+  let stops;
+  if (start.stop) {
+    stops = [{...start.stop, distance: null, bearing: null}];
+  } else {
+    if (start.error) {
+      showLocationPicker(document.getElementById('location-picker'), {
+        message: t('location.failed', { message: start.error.message }), findStop, onChange: renderStops
+      });
+    }
+    if (!start.coords) {
+      container.textContent = t('location.unavailable');
+      return;
+    }
+    const userLoc = start.coords;
+    const stopIndex = buildStopIndex(stopsData.features);
+    if (!indexCovers(stopIndex, userLoc.latitude, userLoc.longitude)) {
+      container.textContent = t('location.outside');
+      return;
+    }
+    stops = queryNearbyStops(stopIndex, userLoc.latitude, userLoc.longitude, readNearestOptions()).map(s => {
+      const {bearing} = getDistanceAndBearing(userLoc.latitude, userLoc.longitude, s.lat, s.lon);
+      return {...s.feature, distance: s.distance, bearing};
+    });
+  }
 
-  const gtfsEntities = await loadGTFSRT();
+  const rtArrivals = await loadGTFSRT();
 
-  const container = document.getElementById('stops');
   container.innerHTML = '';
 
-  for (const stop of nearestStops) {
-    const arrivals = getArrivalsForStop(stop.properties.AtcoCode, gtfsEntities);
+  for (const stop of stops) {
+    const arrivals = getArrivalsForStop(stop.properties.AtcoCode, rtArrivals);
 
     const stopNumber = parseInt(stop.properties.AtcoCode.slice(-6), 10);
     const mapsLink = `https://www.google.com/maps/search/?api=1&query=${stop.properties.Latitude},${stop.properties.Longitude}`;
@@ -90,30 +129,31 @@ async function renderStops() {
     stopDiv.className = 'stop';
 
     const stopHeader = document.createElement('h3');
-    stopHeader.textContent = `${stop.properties.SCN_English} (#${stopNumber})`;
+    stopHeader.textContent = `${stopName(stop.properties)} (#${stopNumber})`;
 
     const distanceEl = document.createElement('a');
     distanceEl.href = mapsLink;
     distanceEl.target = '_blank';
-    distanceEl.textContent = `${stop.distance} m`;
+    distanceEl.textContent = stop.distance != null ? `${stop.distance} m` : t('card.map');
 
     const bearingEl = document.createElement('span');
-    bearingEl.textContent = ` (${stop.bearing})`;
+    bearingEl.textContent = stop.bearing ? ` (${compassLabel(stop.bearing)})` : '';
 
     stopDiv.appendChild(stopHeader);
     stopDiv.appendChild(distanceEl);
     stopDiv.appendChild(bearingEl);
+    stopDiv.appendChild(buildCopyLinkButton(stop));
 
     const arrivalsUl = document.createElement('ul');
-    for (const a of arrivals) {
-      const li = document.createElement('li');
-      li.textContent = `${a.route_short} → ${a.trip_headsign} at ${a.arrival_time}`;
-      arrivalsUl.appendChild(li);
-    }
+    for (const a of arrivals) arrivalsUl.appendChild(buildArrivalItem(a));
     stopDiv.appendChild(arrivalsUl);
     container.appendChild(stopDiv);
   }
 }
 
 // Run
-document.addEventListener('DOMContentLoaded', renderStops);
+document.addEventListener('DOMContentLoaded', () => {
+  initLanguageToggle(renderStops);
+  initAccessFilter(document.getElementById('access-filter'), renderStops);
+  renderStops();
+});
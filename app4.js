@@ -1,9 +1,16 @@
 // app4.js
 
 // Config - adjust only if you move files
-const STOPS_GZ = 'https://eoinol.github.io/DBLive/stops.geojson.gz';
+// ?data=<dir>/ reads every data file from a local drop built by tools/build-stop-json.js instead of Pages + R2
+const DATA_BASE = (new URLSearchParams(location.search).get('data') || '').replace(/([^/])$/, '$1/');
+const STOPS_GZ = DATA_BASE ? `${DATA_BASE}stops.geojson.gz` : 'https://eoinol.github.io/DBLive/stops.geojson.gz';
 const WORKER_RT_URL = 'https://falling-firefly-fd90.eoinol.workers.dev/'; // returns { arrivals: [...] }
-const R2_BUCKET_BASE = 'https://pub-aad94a89c9ea4f6390466b521c65d978.r2.dev/stops/';
+// ?rt=<url> points the board at another realtime source, e.g. a raw GTFS-RT feed or gtfs-rt-sample.pb
+const RT_URL = new URLSearchParams(location.search).get('rt') || WORKER_RT_URL;
+// ?vehicles=<url> adds a separate VehiclePositions feed (the NTA publishes them apart from TripUpdates),
+// e.g. gtfs-rt-vehicles-sample.pb
+const VEHICLES_URL = new URLSearchParams(location.search).get('vehicles');
+const R2_BUCKET_BASE = DATA_BASE ? `${DATA_BASE}stops/` : 'https://pub-aad94a89c9ea4f6390466b521c65d978.r2.dev/stops/';
 
 // ----------------- utilities -----------------
 function logDebug(...args){ console.debug('[app4]', ...args); const d = document.getElementById('debug'); if(d) d.textContent = args.map(a=> (typeof a==='object'?JSON.stringify(a):String(a))).join(' '); }
@@ -35,6 +42,47 @@ async function fetchJson(url){
   return r.json();
 }
 
+// A small form in the page instead of prompt()/alert(): `fields`, a submit and a cancel button and
+// an error line. onSubmit() resolves to an error message to show, or nothing once it's done with the
+// form; cancel just removes it. Taps and keys inside it don't reach the row or card it sits in.
+function buildInlineForm(className, fields, submitText, onSubmit){
+  const form = document.createElement('form');
+  form.className = `inline-form ${className}`;
+  for(const field of fields) form.appendChild(field);
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = submitText;
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.textContent = t('common.cancel');
+  const error = document.createElement('span');
+  error.className = 'inline-error';
+  form.appendChild(submit);
+  form.appendChild(cancel);
+  form.appendChild(error);
+  form.addEventListener('click', ev => ev.stopPropagation());
+  form.addEventListener('keydown', ev => ev.stopPropagation());
+  form.addEventListener('submit', async ev => {
+    ev.preventDefault();
+    error.textContent = '';
+    const message = await onSubmit();
+    if(message) error.textContent = message;
+    else form.remove();
+  });
+  cancel.addEventListener('click', () => form.remove());
+  return { form, error };
+}
+
+// <label><span>text</span>control</label>
+function labelled(text, control){
+  const label = document.createElement('label');
+  const span = document.createElement('span');
+  span.textContent = text;
+  label.appendChild(span);
+  label.appendChild(control);
+  return label;
+}
+
 // ----------------- load stops.geojson.gz -----------------
 async function loadStops() {
   // fetch gzip blob
@@ -56,33 +104,39 @@ async function loadStops() {
   return JSON.parse(jsonText);
 }
 
-// ----------------- load GTFS-RT (worker returns a minimal arrivals array) -----------------
+// ----------------- load GTFS-RT (worker JSON or raw protobuf, see gtfs-rt.js) -----------------
+// { arrivals, vehicles, alerts }; a failing vehicles feed only costs the vehicle positions
 async function loadRealtimeFromWorker(){
-  const resp = await fetch(WORKER_RT_URL);
-  if(!resp.ok) throw new Error(`GTFS-RT worker fetch failed: ${resp.status}`);
-  const data = await resp.json();
-  // Worker should return { arrivals: [ { trip_id, stop_id, delaySeconds, arrivalTimestamp, vehicleId? }, ... ] }
-  if(!data || !Array.isArray(data.arrivals)) {
-    console.warn('GTFS-RT worker returned unexpected shape', data);
-    // try to normalise a few common variants:
-    if(Array.isArray(data)) {
-      return data;
-    }
-    throw new Error('GTFS-RT feed missing "arrivals" array');
+  const [rt, extra] = await Promise.all([
+    loadRealtimeFeed(RT_URL),
+    VEHICLES_URL ? loadRealtimeFeed(VEHICLES_URL).catch(err => { console.warn('Vehicle positions unavailable:', err); return null; }) : null
+  ]);
+  if(extra){
+    rt.vehicles = rt.vehicles.concat(extra.vehicles);
+    rt.alerts = rt.alerts.concat(extra.alerts);
   }
-  return data.arrivals;
+  return rt;
 }
 
-// Build a map: stop_id -> Set(trip_id) using GTFS-RT arrivals
+// Build a map: stop_id -> [arrival records] using GTFS-RT arrivals
 function buildRtStopMap(arrivals){
   const map = new Map();
   for(const rec of arrivals){
-    // Accept multiple shapes: prefer rec.trip_id, otherwise rec.trip?.trip_id, rec.trip_update.trip.trip_id etc.
-    const trip_id = rec.trip_id || (rec.trip && rec.trip.trip_id) || (rec.trip_update && rec.trip_update.trip && rec.trip_update.trip.trip_id) || null;
-    const stop_id = rec.stop_id || rec.stop_id || (rec.stop_time_update && rec.stop_time_update.stop_id) || (rec.stop && rec.stop.stop_id) || rec.stop_id;
-    if(!trip_id || !stop_id) continue;
-    if(!map.has(stop_id)) map.set(stop_id, new Set());
-    map.get(stop_id).add(trip_id);
+    if(!rec.trip_id || !rec.stop_id) continue;
+    const key = String(rec.stop_id);
+    if(!map.has(key)) map.set(key, []);
+    map.get(key).push(rec);
+  }
+  return map;
+}
+
+// trip_id -> [arrival records], one per stop the feed lists for that trip
+function buildRtTripMap(arrivals){
+  const map = new Map();
+  for(const rec of arrivals){
+    if(!rec.trip_id || !rec.stop_id) continue;
+    if(!map.has(rec.trip_id)) map.set(rec.trip_id, []);
+    map.get(rec.trip_id).push(rec);
   }
   return map;
 }
@@ -103,162 +157,1567 @@ async function loadStopJsonIndex(atco){
       if(!row.trip_id) continue;
       if(!tripIndex.has(row.trip_id)) tripIndex.set(row.trip_id, row);
     }
-    return { ok: true, tripIndex };
+    return { ok: true, tripIndex, rows: arr };
   } catch (err) {
     console.warn('Error fetching stop JSON', atco, err);
     return { ok: false, error: err.message || String(err) };
   }
 }
 
-// ----------------- Rendering -----------------
-async function renderStops(){
-  const status = document.getElementById('status');
-  try {
-    status.textContent = 'Loading stops…';
-    const stopsGeo = await loadStops();
-    status.textContent = 'Getting location…';
-    // get position
-    const coords = await new Promise((res, rej) => {
-      navigator.geolocation.getCurrentPosition(p => res(p.coords), e => rej(e));
-    });
+// ----------------- live board -----------------
+// renderStops() builds one card per nearest stop once; refreshBoard() then polls the RT
+// worker and updates those cards in place with merged scheduled + realtime departures, and tickBoard() keeps countdowns/staleness current.
 
-    status.textContent = `Location: ${coords.latitude.toFixed(6)}, ${coords.longitude.toFixed(6)} (±${coords.accuracy ? Math.round(coords.accuracy) + ' m' : '?)' })`;
+const RT_POLL_MS = 30000;            // normal poll interval
+const RT_POLL_MAX_MS = 5 * 60000;    // backoff ceiling after repeated failures
+const COUNTDOWN_TICK_MS = 15000;     // countdown / staleness refresh between polls
+const STALE_AFTER_MS = 2 * 60000;    // stop data older than this gets a warning
 
-    // annotate distances
-    const annotated = stopsGeo.features.map(f => {
-      const lat = parseFloat(f.properties.Latitude);
-      const lon = parseFloat(f.properties.Longitude);
-      const {distance, bearingDeg, bearing8} = haversine(coords.latitude, coords.longitude, lat, lon);
-      return { feature: f, distance, bearingDeg, bearing8, lat, lon };
-    });
+const board = {
+  stops: [],       // { s, atco, routes, div, list, note, stale, tripIndex, schedule, groups: Map(key -> route row), rows: Map(key -> row), updatedAt }
+  failures: 0,
+  lastRefresh: 0,
+  inFlight: false,
+  pending: false,
+  pollTimer: null,
+  tickTimer: null,
+  map: null,       // { coords, stops } of the nearby-stops map, redrawn with vehicles on each refresh
+  rt: null,        // last realtime snapshot passed to updateStopCard, or null when offline
+  alerts: [],      // service alerts from the last successful poll, kept through outages
+  trip: null,      // { entry, departure } shown in the trip detail panel
+  routeFilter: loadRouteFilter() // route chips (route-groups.js): route_shorts shown on every card, [] for all
+};
 
-    // nearest 5 stops
-    annotated.sort((a,b) => a.distance - b.distance);
-    const nearest = annotated.slice(0,5);
-
-    status.textContent = 'Fetching GTFS-RT…';
-    const rtArrivals = await loadRealtimeFromWorker();
-    const rtMap = buildRtStopMap(rtArrivals);
-    logDebug('Total GTFS-RT arrivals>', rtArrivals.length, 'distinct stops in RT:', rtMap.size);
-
-    const container = document.getElementById('stops');
-    container.innerHTML = '';
-
-    for(const s of nearest){
-      const f = s.feature;
-      const atco = f.properties.AtcoCode;
-      const stopNumber = parseInt(atco.slice(-6), 10);
-      const mapsLink = `https://www.google.com/maps/search/?api=1&query=${s.lat},${s.lon}`;
-
-      const stopDiv = document.createElement('div');
-      stopDiv.className = 'stop';
-      const header = document.createElement('h3');
-
-      const titleSpan = document.createElement('span');
-      titleSpan.textContent = `${f.properties.SCN_English} (#${stopNumber})`;
-      header.appendChild(titleSpan);
-
-      const metaSpan = document.createElement('span');
-      metaSpan.className = 'meta';
-      metaSpan.style.marginLeft = '8px';
-      metaSpan.textContent = `${s.distance} m • ${s.bearing8}`;
-      header.appendChild(metaSpan);
-
-      const mapA = document.createElement('a');
-      mapA.className = 'maplink';
-      mapA.href = mapsLink;
-      mapA.target = '_blank';
-      mapA.rel = 'noopener';
-      mapA.textContent = '[Map]';
-      header.appendChild(mapA);
-
-      stopDiv.appendChild(header);
-
-      // get set of RT trip_ids for this stop
-      const rtTripSet = rtMap.get(atco) || new Set();
-
-      // if no RT trips for this stop -> show message
-      if(rtTripSet.size === 0){
-        const no = document.createElement('div');
-        no.className = 'sub small';
-        no.textContent = 'No real-time trips available';
-        stopDiv.appendChild(no);
-        container.appendChild(stopDiv);
-        continue;
+// best estimate of when the trip reaches the stop: explicit RT timestamp, else scheduled + delay, else scheduled
+function expectedArrival(scheduled, rt){
+  if(rt && rt.arrivalTimestamp != null){
+    const d = new Date(rt.arrivalTimestamp);
+    if(!isNaN(d)) return d;
+  }
+  if(rt && rt.delaySeconds != null && scheduled) return new Date(scheduled.getTime() + rt.delaySeconds * 1000);
+  return scheduled || null;
+}
+
+// 24-hour clock whatever the language (i18n.js)
+function formatClock(d){
+  return formatTime(d);
+}
+
+function formatCountdown(when, now = Date.now()){
+  if(!when) return '';
+  const mins = Math.floor((when.getTime() - now) / 60000);
+  return mins <= 0 ? t('countdown.due') : t('countdown.in', { mins });
+}
+
+function formatAge(ms){
+  const mins = Math.round(ms / 60000);
+  return mins < 1 ? t('age.underMinute') : t('age.minutes', { mins });
+}
+
+// ----------------- vehicle positions -----------------
+const VEHICLE_STALE_MS = 3 * 60000;     // positions older than this are greyed out
+const MAP_VEHICLE_RADIUS_M = 5000;      // only plot buses this close to the user
+
+function formatDistance(m){
+  return m < 1000 ? `${m} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+function formatPositionAge(ms){
+  if(ms < 60000) return t('age.seconds', { secs: Math.max(0, Math.round(ms / 1000)) });
+  return formatAge(ms);
+}
+
+// "bus is 1.2 km away · position 40 s old" for a departure's vehicle, relative to the stop
+function vehicleText(v, stop, now = Date.now()){
+  const parts = [];
+  if(!isNaN(stop.lat) && !isNaN(stop.lon)) parts.push(t('vehicle.away', { distance: formatDistance(haversine(v.lat, v.lon, stop.lat, stop.lon).distance) }));
+  if(v.timestamp) parts.push(t('vehicle.age', { age: formatPositionAge(now - v.timestamp) }));
+  return parts.join(' · ');
+}
+
+function isVehicleStale(v, now = Date.now()){
+  return !v.timestamp || now - v.timestamp > VEHICLE_STALE_MS;
+}
+
+// ----------------- merged departures -----------------
+// Each card shows the next scheduled departures of today's running services (gtfs-calendar.js)
+// with realtime predictions laid over them, plus RT trips the schedule doesn't have, grouped into
+// one row per route and headsign (route-groups.js).
+
+const BOARD_DEPARTURES = 8;               // route rows per stop
+const DEPARTED_GRACE_MS = 60000;          // keep a row this long after its best-estimate time
+const LATE_WINDOW_MS = 30 * 60000;        // scheduled rows this far in the past may still be running late
+const RUN_MATCH_MS = 12 * 3600000;        // a prediction this near a run is for it, not the same trip a day off
+
+// { calendar, tripMap, trips }: the calendar is loaded once; tripMap only holds the trips of the
+// stops shown so far, filled by the sharded trip index in a worker (trip-index.js)
+let gtfsMapping = null;
+
+async function ensureGtfsMapping(){
+  if(!gtfsMapping){
+    const calendar = await loadServiceCalendar(DATA_BASE);
+    const trips = createTripIndexClient(DATA_BASE);
+    gtfsMapping = { calendar, tripMap: trips.tripMap, trips };
+  }
+  return gtfsMapping;
+}
+
+// Merge a stop's upcoming schedule with its RT records, soonest best-estimate first:
+// [{ key, kind: 'live'|'scheduled'|'rt-only'|'added'|'cancelled'|'skipped', trip_id, route, headsign, scheduled, expected, rt }]
+// `cancelled` holds trip_ids cancelled anywhere in the feed (cancellations rarely list stops).
+function mergeDepartures(entry, rtRecords, mapping, cancelled = new Set(), now = new Date()){
+  // unwanted routes go before the limit, or a busy route crowds out the wanted ones
+  const sched = entry.schedule && mapping
+    ? scheduledDepartures(entry.schedule.filter(r => entryWantsRoute(entry, r.route_short || null)), mapping.tripMap, mapping.calendar, now, { limit: BOARD_DEPARTURES * GROUP_TIMES * 2, graceMs: LATE_WINDOW_MS })
+    : [];
+  const rows = sched.map(s => ({
+    key: `${s.trip_id}@${s.scheduled.getTime()}`,
+    kind: 'scheduled',
+    trip_id: s.trip_id,
+    route: s.route_short || null,
+    headsign: s.trip_headsign || null,
+    serviceDate: s.serviceDate,
+    scheduled: s.scheduled,
+    expected: s.scheduled,
+    rt: null
+  }));
+  // a cancellation is for the trip's next run, not the same trip_id on later days
+  for(const trip_id of cancelled){
+    const next = rows.find(r => r.trip_id === trip_id);
+    if(next) next.kind = 'cancelled';
+  }
+
+  for(const rt of rtRecords){
+    // a trip_id recurs on other service days: the feed's service date picks the run where it has
+    // one, else take the instance closest to the prediction
+    let match = null, best = Infinity;
+    for(const r of rows){
+      if(r.trip_id !== rt.trip_id || r.rt || !sameServiceDate(rt, r.serviceDate)) continue;
+      const gap = Math.abs(expectedArrival(r.scheduled, rt) - r.scheduled);
+      if(gap < best){ best = gap; match = r; }
+    }
+    if(match){
+      match.rt = rt;
+      if(match.kind === 'cancelled') continue;
+      if(rt.stopRelationship === 'SKIPPED') match.kind = 'skipped';
+      else if(rt.stopRelationship !== 'NO_DATA'){
+        match.kind = 'live';
+        match.expected = expectedArrival(match.scheduled, rt);
       }
+      continue;
+    }
+    // not in the upcoming schedule (unscheduled trip, or the stop JSON is missing)
+    const idxRow = entry.tripIndex ? entry.tripIndex.get(rt.trip_id) : null;
+    const secs = idxRow ? gtfsTimeToSeconds(idxRow.arrival_time) : null;
+    const scheduled = secs != null ? serviceTimeToDate(now, secs) : null;
+    let kind = 'rt-only';
+    if(rt.tripRelationship === 'CANCELED' || cancelled.has(rt.trip_id)) kind = 'cancelled';
+    else if(rt.stopRelationship === 'SKIPPED') kind = 'skipped';
+    else if(rt.tripRelationship === 'ADDED' || rt.tripRelationship === 'UNSCHEDULED') kind = 'added';
+    if(kind !== 'added' && kind !== 'rt-only' && !scheduled) continue; // nothing useful to show without a time
+    rows.push({
+      key: `rt:${rt.trip_id}`,
+      kind,
+      trip_id: rt.trip_id,
+      route: (idxRow && idxRow.route_short) || rt.route_id,
+      headsign: (idxRow && idxRow.trip_headsign) || rt.trip_headsign,
+      serviceDate: rt.startDate,
+      scheduled,
+      expected: kind === 'cancelled' || kind === 'skipped' ? scheduled : expectedArrival(scheduled, rt),
+      rt
+    });
+  }
 
-      // load R2 JSON for this stop to find route/headsign/schedule mappings
-      const idxResult = await loadStopJsonIndex(atco);
-      const arrivalsUl = document.createElement('ul');
-      arrivalsUl.className = 'arrivals';
+  const time = r => r.expected ? r.expected.getTime() : Infinity;
+  return rows
+    .filter(r => entryWantsRoute(entry, r.route)) // RT rows too
+    .filter(r => time(r) >= now.getTime() - DEPARTED_GRACE_MS)
+    .sort((a,b) => time(a) - time(b));
+}
 
-      // For each trip_id present in RT: find its scheduled row
-      for(const tripId of Array.from(rtTripSet)){
-        let sched = null;
-        if(idxResult.ok) sched = idxResult.tripIndex.get(tripId) || null;
-        const li = document.createElement('li');
+// the route chips' choice, and the favourite's preferred routes when the card is a favourite with some
+function entryWantsRoute(entry, route){
+  return routeSelected(board.routeFilter, route) && (!entry.routes.length || entry.routes.includes(route));
+}
 
-        // route/headsign from R2 if present, else show tripId
-        const route = sched && sched.route_short ? sched.route_short : null;
-        const headsign = sched && sched.trip_headsign ? sched.trip_headsign : null;
-        const schedTime = sched && sched.arrival_time ? sched.arrival_time : null;
+function routeText(d){
+  return `${d.route || d.trip_id} → ${d.headsign || t('common.unknown')}`;
+}
 
-        // get RT matching entry for extra fields (if worker included arrivalTimestamp or delay)
-        const rtMatch = rtArrivals.find(r => {
-          const t = r.trip_id || (r.trip && r.trip.trip_id);
-          const s = r.stop_id || r.stop;
-          return t === tripId && (s === atco || String(s) === String(atco));
+// the times on a departure's part of its route row
+function departureTimeText(d){
+  const parts = [];
+  if(d.scheduled) parts.push(t('dep.scheduled', { time: formatClock(d.scheduled) }));
+  if(d.kind === 'cancelled') parts.push(t('dep.cancelled'));
+  else if(d.kind === 'skipped') parts.push(t('dep.skipped'));
+  else if(d.rt && d.rt.stopRelationship !== 'NO_DATA'){
+    if(d.rt.arrivalTimestamp != null || (d.rt.delaySeconds != null && d.scheduled)) parts.push(t('dep.realtime', { time: formatClock(d.expected) }));
+    else if(d.rt.delaySeconds != null) parts.push(t('dep.delay', { secs: d.rt.delaySeconds }));
+  }
+  return parts.join(' | ');
+}
+
+// load the stop's R2 JSON once (retried until it succeeds)
+async function ensureStopSchedule(entry){
+  if(entry.tripIndex) return true;
+  const idxResult = await loadStopJsonIndex(entry.atco);
+  if(!idxResult.ok) return false;
+  entry.tripIndex = idxResult.tripIndex;
+  entry.schedule = idxResult.rows;
+  for(const r of entry.schedule) if(r.route_short) entry.servedRoutes.add(r.route_short);
+  return true;
+}
+
+// Bring the card's list in line with `departures`: one <li> per route and headsign holding its next
+// GROUP_TIMES departures, rows reused by key so the list doesn't flicker.
+// `vehicles` maps trip_id -> vehicle record; only a trip's first row on the card gets its bus.
+function syncRows(entry, departures, vehicles = new Map()){
+  const groups = groupDepartures(departures, { limit: BOARD_DEPARTURES });
+  const placed = new Set();
+  const keys = new Set(groups.flatMap(g => g.departures.map(d => d.key)));
+  for(const [key, row] of entry.rows){
+    if(!keys.has(key)){ row.li.remove(); entry.rows.delete(key); }
+  }
+  const groupKeys = new Set(groups.map(g => g.key));
+  for(const [key, group] of entry.groups){
+    if(!groupKeys.has(key)){ group.li.remove(); entry.groups.delete(key); }
+  }
+  groups.forEach((g, gi) => {
+    let group = entry.groups.get(g.key);
+    if(!group){
+      const li = document.createElement('li');
+      li.className = 'route-group';
+      const title = document.createElement('span');
+      title.className = 'route-title';
+      const list = document.createElement('ul');
+      list.className = 'route-times';
+      li.appendChild(title);
+      li.appendChild(list);
+      group = { li, title, list };
+      entry.groups.set(g.key, group);
+    }
+    const title = routeText(g.departures[0]);
+    if(group.title.textContent !== title) group.title.textContent = title;
+    g.departures.forEach((d, i) => {
+      let row = entry.rows.get(d.key);
+      if(!row){
+        const li = document.createElement('li');
+        const kind = document.createElement('span');
+        const label = document.createElement('span');
+        label.className = 'label';
+        const countdown = document.createElement('span');
+        countdown.className = 'countdown';
+        const vehicle = document.createElement('span');
+        vehicle.className = 'vehicle';
+        const bell = document.createElement('button');
+        bell.type = 'button';
+        bell.className = 'alert-bell';
+        bell.textContent = '🔔';
+        li.appendChild(kind);
+        li.appendChild(label);
+        li.appendChild(countdown);
+        li.appendChild(vehicle);
+        li.appendChild(bell);
+        const alerts = document.createElement('span');
+        alerts.className = 'row-alert';
+        alerts.hidden = true;
+        li.appendChild(alerts);
+        row = { li, kind, label, countdown, vehicleSpan: vehicle, bell, alertSpan: alerts, alertId: null, alertForm: null, expected: null, vehicle: null, departure: null };
+        bell.addEventListener('click', ev => {
+          ev.stopPropagation(); // not a tap on the row
+          toggleAlert(entry, row);
         });
+        // tap (or Enter) for the trip's remaining stops
+        li.tabIndex = 0;
+        li.addEventListener('click', () => openTripDetail(entry, row.departure));
+        li.addEventListener('keydown', ev => { if(ev.key === 'Enter') openTripDetail(entry, row.departure); });
+        entry.rows.set(d.key, row);
+      }
+      row.li.className = `dep dep-${d.kind}`;
+      row.kind.className = `kind kind-${d.kind}`;
+      row.kind.textContent = t(`kind.${d.kind}`);
+      const text = departureTimeText(d);
+      if(row.label.textContent !== text) row.label.textContent = text;
+      // no countdown to a bus that isn't coming
+      row.expected = d.kind === 'cancelled' || d.kind === 'skipped' ? null : d.expected;
+      const running = d.kind !== 'cancelled' && !placed.has(d.trip_id);
+      row.vehicle = running ? vehicles.get(d.trip_id) || null : null;
+      row.departure = d;
+      row.alertId = departureAlertId(entry, d);
+      row.bell.hidden = !row.alertId;
+      renderRowAlerts(row, d.alerts || []);
+      placed.add(d.trip_id);
+      if(group.list.children[i] !== row.li) group.list.insertBefore(row.li, group.list.children[i] || null);
+    });
+    if(entry.list.children[gi] !== group.li) entry.list.insertBefore(group.li, entry.list.children[gi] || null);
+  });
+}
+
+// Update one stop card in place. `rt` is { byStop: Map(stop_id -> records), byTrip: Map(trip_id -> records),
+// cancelled: Set(trip_id), vehicles: Map(trip_id -> vehicle) }, or null when the RT source is unreachable.
+// A poll and a redraw can both be updating a card; only the later call draws it.
+async function updateStopCard(entry, rt, mapping){
+  const update = entry.update = {};
+  const offline = !rt;
+  const rtRecords = rt ? rt.byStop.get(entry.atco) || [] : [];
+  await ensureStopSchedule(entry);
+  // service_ids for this stop's trips; without them only the RT rows can be shown
+  if(mapping && entry.schedule){
+    try {
+      await mapping.trips.lookup(entry.schedule.map(r => r.trip_id));
+    } catch (err) {
+      console.warn('Trip index unavailable:', err);
+      mapping = null;
+    }
+  }
+  if(entry.update !== update) return; // superseded
+  const departures = mergeDepartures(entry, rtRecords, mapping, rt ? rt.cancelled : undefined);
+  learnRouteShorts(entry, rtRecords);
+  const now = Date.now();
+  for(const d of departures){
+    d.alerts = alertsForDeparture(board.alerts, entry.atco, { trip_id: d.trip_id, route_id: d.rt && d.rt.route_id, route_short: d.route }, routeShortById, now);
+  }
+  renderStopAlerts(entry, now);
+  syncRows(entry, departures, rt ? rt.vehicles : undefined);
+
+  let note = '';
+  if(offline) note = entry.schedule ? t('note.offline') : t('note.noScheduleOffline');
+  else if(!departures.length){
+    if(!entry.schedule && !rtRecords.length) note = t('note.nothing');
+    else if(entry.routes.length) note = t('note.noRoutes', { routes: entry.routes.join(', ') });
+    else if(board.routeFilter.length) note = t('routes.noneHere');
+    else note = t('note.noMore');
+  } else if(!entry.schedule || !mapping) note = t('note.rtOnly');
+  entry.note.hidden = !note;
+  entry.note.textContent = note;
+  // nothing on the chosen routes: just the header and why
+  entry.div.classList.toggle('collapsed', !departures.length && board.routeFilter.length > 0 && !!entry.schedule);
+
+  if(!offline) entry.updatedAt = board.lastRefresh; // when the realtime data shown was fetched
+}
+
+function stopMetaText(s){
+  return s.distance != null ? `${s.distance} m • ${compassLabel(s.bearing8)}` : '';
+}
+
+// Build the static part of a stop card (header, stale warning, arrivals list).
+// `fav` is the stored favourite ({ atco, label, routes }) when the card is in the favourites section.
+function buildStopCard(s, fav = null){
+  const f = s.feature;
+  const atco = f.properties.AtcoCode;
+  const stopNumber = parseInt(atco.slice(-6), 10);
+  const mapsLink = `https://www.google.com/maps/search/?api=1&query=${s.lat},${s.lon}`;
+
+  const stopDiv = document.createElement('div');
+  stopDiv.className = 'stop';
+  const header = document.createElement('h3');
+
+  const titleSpan = document.createElement('span');
+  titleSpan.textContent = fav && fav.label
+    ? `${fav.label} — ${stopName(f.properties)} (#${stopNumber})`
+    : `${stopName(f.properties)} (#${stopNumber})`;
+  header.appendChild(titleSpan);
+
+  const closedBadge = document.createElement('span');
+  closedBadge.className = 'closed-badge';
+  closedBadge.textContent = t('alerts.closed');
+  closedBadge.hidden = true;
+  header.appendChild(closedBadge);
+
+  const starBtn = document.createElement('button');
+  starBtn.type = 'button';
+  starBtn.className = 'star';
+  const starred = isFavourite(atco);
+  starBtn.textContent = starred ? '★' : '☆';
+  starBtn.title = starred ? t('card.favRemove') : t('card.favAdd');
+  starBtn.addEventListener('click', () => {
+    toggleFavourite(atco);
+    rebuildBoard();
+  });
+  header.appendChild(starBtn);
+
+  const metaSpan = document.createElement('span');
+  metaSpan.className = 'meta';
+  metaSpan.style.marginLeft = '8px';
+  metaSpan.textContent = stopMetaText(s);
+  header.appendChild(metaSpan);
+
+  const mapA = document.createElement('a');
+  mapA.className = 'maplink';
+  mapA.href = mapsLink;
+  mapA.target = '_blank';
+  mapA.rel = 'noopener';
+  mapA.textContent = t('card.map');
+  header.appendChild(mapA);
+  header.appendChild(buildCopyLinkButton(f));
+
+  if(fav){
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'edit-fav small';
+    editBtn.textContent = t('card.edit');
+    editBtn.addEventListener('click', () => editFavourite(fav, f, header));
+    header.appendChild(editBtn);
+  }
+
+  stopDiv.appendChild(header);
+  stopDiv.appendChild(buildFacilityBadges(f.properties));
+
+  const alertsDiv = document.createElement('div');
+  alertsDiv.className = 'service-alerts';
+  stopDiv.appendChild(alertsDiv);
+
+  const routes = fav ? fav.routes : [];
+  if(routes.length){
+    const filterNote = document.createElement('div');
+    filterNote.className = 'sub small';
+    filterNote.textContent = t('card.routes', { routes: routes.join(', ') });
+    stopDiv.appendChild(filterNote);
+  }
+
+  const stale = document.createElement('div');
+  stale.className = 'stale';
+  stale.hidden = true;
+  stopDiv.appendChild(stale);
+
+  const note = document.createElement('div');
+  note.className = 'sub small';
+  note.textContent = t('note.loading');
+  stopDiv.appendChild(note);
+
+  const list = document.createElement('ul');
+  list.className = 'arrivals';
+  stopDiv.appendChild(list);
+
+  return { s, atco, routes, div: stopDiv, meta: metaSpan, list, note, stale, closedBadge, alertsDiv, alertsKey: null,
+    tripIndex: null, schedule: null, servedRoutes: new Set(), groups: new Map(), rows: new Map(), updatedAt: 0, update: null };
+}
+
+// ----------------- service alerts -----------------
+// GTFS-RT Alert entities (gtfs-rt.js) on the board: alerts about a whole stop as banners on its
+// card, with a "closed" badge when they shut it, and route/trip alerts on the rows they cover.
+
+const ALERT_SEVERITY_ORDER = ['SEVERE', 'WARNING', 'INFO', 'UNKNOWN_SEVERITY'];
+
+const routeShortById = new Map(); // RT route_id -> route_short, learned from trips both sides know
+
+// schedule rows only carry route_short; the feed's trips say which route_id that is
+function learnRouteShorts(entry, rtRecords){
+  if(!entry.tripIndex) return;
+  for(const rec of rtRecords){
+    const row = rec.route_id && entry.tripIndex.get(rec.trip_id);
+    if(row && row.route_short) routeShortById.set(rec.route_id, row.route_short);
+  }
+}
+
+function severityClass(alert){
+  return `severity-${alert.severity.toLowerCase().replace(/_/g, '-')}`;
+}
+
+function alertHeadline(alert){
+  return alertText(alert.header, getLanguage()) || alertText(alert.description, getLanguage());
+}
+
+function buildAlertBanner(alert, now = Date.now()){
+  const div = document.createElement('div');
+  div.className = `service-alert ${severityClass(alert)}`;
+  const head = document.createElement('strong');
+  head.textContent = `${t(`severity.${alert.severity}`)}: ${alertHeadline(alert)}`;
+  div.appendChild(head);
+  const period = alert.activePeriods.find(p => (p.start == null || now >= p.start) && (p.end == null || now < p.end));
+  if(period && period.end){
+    const end = new Date(period.end);
+    div.appendChild(document.createTextNode(` (${t('alerts.until', { time: formatTime(end), date: formatDate(end) })})`));
+  }
+  const description = alertText(alert.description, getLanguage());
+  if(description && description !== alertHeadline(alert)){
+    const p = document.createElement('div');
+    p.textContent = description;
+    div.appendChild(p);
+  }
+  const url = alertText(alert.url, getLanguage());
+  if(url){
+    const a = document.createElement('a');
+    a.href = url;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = t('alerts.more');
+    div.appendChild(a);
+  }
+  return div;
+}
+
+// stop-wide alerts and the closed badge, redrawn only when the set of alerts changes
+function renderStopAlerts(entry, now = Date.now()){
+  const alerts = alertsForStop(board.alerts, entry.atco, now);
+  entry.closedBadge.hidden = !stopClosedBy(board.alerts, entry.atco, now);
+  entry.div.classList.toggle('closed', !entry.closedBadge.hidden);
+  const key = alerts.map(a => `${a.id}:${a.severity}:${alertHeadline(a)}`).join('|');
+  if(entry.alertsKey === key) return;
+  entry.alertsKey = key;
+  entry.alertsDiv.innerHTML = '';
+  for(const alert of alerts) entry.alertsDiv.appendChild(buildAlertBanner(alert, now));
+}
+
+// route/trip alerts under a departure row, coloured by the most severe
+function renderRowAlerts(row, alerts){
+  const text = alerts.map(a => `⚠ ${alertHeadline(a)}`).join(' · ');
+  row.alertSpan.hidden = !alerts.length;
+  if(row.alertSpan.textContent !== text) row.alertSpan.textContent = text;
+  if(!alerts.length) return;
+  const worst = ALERT_SEVERITY_ORDER.find(sev => alerts.some(a => a.severity === sev));
+  row.alertSpan.className = `row-alert ${severityClass({ severity: worst })}`;
+  row.alertSpan.title = alerts.map(a => alertText(a.description, getLanguage())).filter(Boolean).join('\n');
+}
+
+// ----------------- trip detail -----------------
+// Tapping a departure lists the trip's remaining stops: every stop from the data drop's trip-stops/
+// shards (trip-index.js) where it has them, else just those in the feed's stop-time updates with
+// timetable times from each stop's R2 JSON. The feed's predictions are laid over them and the delay
+// carried on to stops without their own (tripTimeline in gtfs-rt.js).
+
+const stopSchedules = new Map(); // AtcoCode -> Promise({ tripIndex, rows } | null) for stops not on the board
+const tripStopShards = new Map(); // trip-stops/ shard key -> Promise(shard JSON | null)
+
+// the trip's timetable stop list [{ stop_id, stop_sequence, seconds }], or null when the drop has none
+async function tripStops(trip_id){
+  const key = tripShardKey(trip_id);
+  if(!tripStopShards.has(key)){
+    tripStopShards.set(key, fetch(`${DATA_BASE}${TRIP_STOPS_DIR}${key}.json.gz`).then(async resp => {
+      if(!resp.ok) return null; // older drops have no trip-stops/
+      return JSON.parse(pako.ungzip(new Uint8Array(await resp.arrayBuffer()), { to: 'string' }));
+    }).catch(err => {
+      console.warn('Trip stop list unavailable:', err);
+      tripStopShards.delete(key); // retried next time
+      return null;
+    }));
+  }
+  const shard = await tripStopShards.get(key);
+  return shard && decodeTripStops(shard, trip_id);
+}
+
+// a stop's R2 JSON, from its board card when it has one
+function stopSchedule(atco){
+  const entry = board.stops.find(e => e.atco === atco && e.tripIndex);
+  if(entry) return Promise.resolve({ tripIndex: entry.tripIndex, rows: entry.schedule });
+  if(!stopSchedules.has(atco)){
+    stopSchedules.set(atco, loadStopJsonIndex(atco).then(res => {
+      if(!res.ok) stopSchedules.delete(atco); // retried next time
+      return res.ok ? { tripIndex: res.tripIndex, rows: res.rows } : null;
+    }));
+  }
+  return stopSchedules.get(atco);
+}
+
+function stopTripIndex(atco){
+  return stopSchedule(atco).then(s => s && s.tripIndex);
+}
+
+// local midnight of the service day a scheduled time at `arrival_time` belongs to
+function serviceDayOf(scheduled, arrival_time){
+  const secs = gtfsTimeToSeconds(arrival_time);
+  if(!scheduled || secs == null) return addDays(new Date(), 0);
+  // step back to the service day's noon, so a DST change can't tip it into a neighbouring day
+  return addDays(new Date(scheduled.getTime() - (secs - 12 * 3600) * 1000), 0);
+}
+
+// local midnight of the service day the departure belongs to (today when unknown)
+function departureServiceDay(entry, d){
+  const row = entry.tripIndex && entry.tripIndex.get(d.trip_id);
+  return serviceDayOf(d.scheduled, row ? row.arrival_time : null);
+}
+
+function formatDelay(secs){
+  const mins = Math.round(secs / 60);
+  if(!mins) return t('trip.onTime');
+  return mins > 0 ? t('trip.late', { mins }) : t('trip.early', { mins: -mins });
+}
+
+function openTripDetail(entry, d){
+  if(!d) return;
+  board.trip = { entry, departure: d };
+  const panel = document.getElementById('trip-detail');
+  if(!panel) return;
+  panel.hidden = false;
+  renderTripDetail();
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeTripDetail(){
+  board.trip = null;
+  const panel = document.getElementById('trip-detail');
+  if(panel) panel.hidden = true;
+}
+
+async function renderTripDetail(){
+  const shown = board.trip;
+  const title = document.getElementById('trip-detail-title');
+  const note = document.getElementById('trip-detail-note');
+  const list = document.getElementById('trip-detail-stops');
+  if(!shown || !list) return;
+  const { entry, departure: d } = shown;
+  title.textContent = `${d.route || d.trip_id} → ${d.headsign || t('common.unknown')}`;
+
+  const now = Date.now();
+  const records = board.rt ? board.rt.byTrip.get(d.trip_id) || [] : [];
+  const calls = await tripStops(d.trip_id);
+  if(board.trip !== shown) return; // closed or replaced while loading
+  let timeline = [];
+  const serviceDay = departureServiceDay(entry, d);
+  if(calls){
+    const bySequence = new Map(calls.map(c => [c.stop_sequence, c]));
+    timeline = tripTimeline(records, r => {
+      const call = bySequence.get(r.stop_sequence);
+      return call && call.seconds != null ? serviceTimeToDate(serviceDay, call.seconds) : null;
+    }, calls);
+  } else if(records.length){
+    const indexes = new Map(await Promise.all([...new Set(records.map(r => r.stop_id))].map(async atco => [atco, await stopTripIndex(atco)])));
+    if(board.trip !== shown) return;
+    timeline = tripTimeline(records, r => {
+      const row = indexes.get(r.stop_id) && indexes.get(r.stop_id).get(d.trip_id);
+      const secs = row ? gtfsTimeToSeconds(row.arrival_time) : null;
+      return secs != null ? serviceTimeToDate(serviceDay, secs) : null;
+    });
+  }
+  // remaining stops: from the tapped stop on, or when it isn't listed, after the last one passed
+  // (the final stop stays when they all have)
+  const here = timeline.findIndex(r => r.stop_id === entry.atco);
+  if(here >= 0){
+    timeline = timeline.slice(here);
+  } else {
+    let passed = -1;
+    timeline.forEach((r, i) => { const when = r.predicted || r.scheduled; if(when && when.getTime() < now) passed = i; });
+    timeline = timeline.slice(Math.min(passed + 1, timeline.length - 1));
+  }
+  if(!timeline.length){
+    // nothing in the feed or the drop for this trip: just the tapped stop, as the board has it
+    timeline = [{ stop_id: entry.atco, scheduled: d.scheduled, predicted: d.kind === 'live' ? d.expected : null,
+      delaySeconds: null, source: d.kind === 'live' ? 'update' : 'none', stopRelationship: d.kind === 'skipped' ? 'SKIPPED' : 'SCHEDULED' }];
+    note.textContent = t('trip.noRt');
+  } else if(calls){
+    note.textContent = t(records.length ? 'trip.allStops' : 'trip.timetableOnly');
+  } else {
+    note.textContent = t('trip.partial');
+  }
+
+  list.innerHTML = '';
+  for(const r of timeline){
+    const li = document.createElement('li');
+    li.className = 'trip-stop';
+    if(r.stop_id === entry.atco) li.classList.add('current');
+    if(r.stopRelationship === 'SKIPPED') li.classList.add('skipped');
+    if(r.source === 'propagated') li.classList.add('propagated');
+    const feature = stopsByAtco && stopsByAtco.get(r.stop_id);
+    const parts = [feature ? `${stopName(feature.properties)} (#${stopNumberOf(feature.properties)})` : r.stop_id];
+    if(r.scheduled) parts.push(t('dep.scheduled', { time: formatClock(r.scheduled) }));
+    if(r.stopRelationship === 'SKIPPED') parts.push(t('dep.skipped'));
+    else if(r.stopRelationship === 'NO_DATA') parts.push(t('trip.noData'));
+    else if(r.predicted) parts.push(t(r.source === 'propagated' ? 'trip.estimated' : 'dep.realtime', { time: formatClock(r.predicted) }));
+    if(r.delaySeconds != null && r.stopRelationship !== 'SKIPPED') parts.push(formatDelay(r.delaySeconds));
+    li.textContent = parts.join(' | ');
+    list.appendChild(li);
+  }
+}
+
+function initTripDetail(){
+  const close = document.getElementById('trip-detail-close');
+  if(close) close.addEventListener('click', closeTripDetail);
+}
+
+// ----------------- journey planner -----------------
+// From the nearest stops (or one of the board's stops) to a stop picked by search. Direct trips come
+// from the two stops' R2 JSON and today's calendar (journey.js), with the board's last realtime
+// snapshot laid over them; one-change journeys go through the stops the feed lists for each trip.
+
+const MAX_CHANGE_STOPS = 40;   // timetables fetched for possible change stops per search
+
+const journey = {
+  dest: null,      // destination stop feature, picked from the search list
+  search: null,    // token of the search in progress; a newer one wins
+  results: null    // { dest, direct, changes, note } of the last search
+};
+
+// origin choices: the nearest stops together, or any one stop on the board
+function renderJourneyOrigins(){
+  const select = document.getElementById('journey-origin');
+  if(!select) return;
+  const current = select.value;
+  select.innerHTML = '';
+  const nearest = document.createElement('option');
+  nearest.value = '';
+  nearest.textContent = t('journey.nearest');
+  select.appendChild(nearest);
+  const seen = new Set();
+  for(const entry of board.stops){
+    if(seen.has(entry.atco)) continue;
+    seen.add(entry.atco);
+    const opt = document.createElement('option');
+    opt.value = entry.atco;
+    opt.textContent = journeyStopName(entry.atco);
+    select.appendChild(opt);
+  }
+  select.value = seen.has(current) ? current : '';
+}
+
+// origin AtcoCodes: the chosen stop, else the nearest stops (the favourites without a location)
+function journeyOrigins(){
+  const chosen = document.getElementById('journey-origin').value;
+  if(chosen) return [chosen];
+  const stops = board.shown && board.shown.length ? board.shown.map(s => s.feature.properties.AtcoCode) : board.stops.map(e => e.atco);
+  return [...new Set(stops)];
+}
+
+function journeyStopName(atco){
+  const f = stopsByAtco && stopsByAtco.get(atco);
+  return f ? `${stopName(f.properties)} (#${stopNumberOf(f.properties)})` : atco;
+}
+
+function stopDistance(a, b){
+  const fa = stopsByAtco && stopsByAtco.get(a), fb = stopsByAtco && stopsByAtco.get(b);
+  if(!fa || !fb) return null;
+  const m = greatCircleMetres(parseFloat(fa.properties.Latitude), parseFloat(fa.properties.Longitude),
+    parseFloat(fb.properties.Latitude), parseFloat(fb.properties.Longitude));
+  return isNaN(m) ? null : m;
+}
+
+// false only when the record and the run both know their service date and they differ
+function sameServiceDate(rec, serviceDate){
+  return !rec.startDate || !serviceDate || rec.startDate === serviceDate;
+}
 
-        let text = '';
-        if(route) text += `${route} → ${headsign || 'Unknown'}`;
-        else text += `${tripId} → ${headsign || 'Unknown'}`;
-
-        // scheduled time (if available)
-        if(schedTime) text += ` | Scheduled: ${schedTime}`;
-
-        // RT time or delay
-        if(rtMatch){
-          // prefer an explicit arrival timestamp (ISO), else compute from scheduled + delay
-          if(rtMatch.arrivalTimestamp){
-            try {
-              const d = new Date(rtMatch.arrivalTimestamp);
-              text += ` | Real-time: ${d.toLocaleTimeString()}`;
-            } catch {}
-          } else if(rtMatch.delaySeconds != null && schedTime){
-            // add delay to scheduled time
-            const [hh,mm,ss] = schedTime.split(':').map(x=>parseInt(x,10));
-            if(!isNaN(hh)){
-              const scheduledDate = new Date();
-              scheduledDate.setHours(hh, mm || 0, ss || 0, 0);
-              scheduledDate.setSeconds(scheduledDate.getSeconds() + Number(rtMatch.delaySeconds));
-              text += ` | Real-time: ${scheduledDate.toLocaleTimeString()}`;
-            } else {
-              if(rtMatch.delaySeconds!=null) text += ` | Delay: ${rtMatch.delaySeconds}s`;
-            }
-          } else if(rtMatch.delaySeconds!=null){
-            text += ` | Delay: ${rtMatch.delaySeconds}s`;
-          }
-        }
-
-        li.textContent = text;
-        arrivalsUl.appendChild(li);
+// The trip's RT record at a stop, if it's for this run: a trip_id recurs on other service days, so
+// the feed's start date must be the run's, and without one the prediction must be nearer this run
+// than the ones a day either side. However late the bus, it's still this run.
+function rtRecordAt(rt, atco, trip_id, scheduled, serviceDate = null){
+  const rec = rt && (rt.byStop.get(atco) || []).find(r => r.trip_id === trip_id);
+  if(!rec || !sameServiceDate(rec, serviceDate)) return null;
+  if(!(rec.startDate && serviceDate) && Math.abs(expectedArrival(scheduled, rec) - scheduled) >= RUN_MATCH_MS) return null;
+  return rec;
+}
+
+// realtime over a direct journey: the predictions at either end, else the origin's delay carried on
+function liveJourney(j, rt){
+  const from = rtRecordAt(rt, j.from, j.trip_id, j.departs, j.serviceDate);
+  const to = rtRecordAt(rt, j.to, j.trip_id, j.arrives, j.serviceDate);
+  const live = r => r && r.stopRelationship !== 'NO_DATA' && r.stopRelationship !== 'SKIPPED';
+  const cancelled = !!rt && rt.cancelled.has(j.trip_id) || [from, to].some(r => r && r.stopRelationship === 'SKIPPED');
+  const departsLive = live(from) ? expectedArrival(j.departs, from) : null;
+  let arrivesLive = live(to) ? expectedArrival(j.arrives, to) : null;
+  if(!arrivesLive && departsLive) arrivesLive = new Date(j.arrives.getTime() + (departsLive - j.departs));
+  return { ...j, kind: 'direct', cancelled, departsLive, arrivesLive };
+}
+
+// next run of each trip at `atco` that the realtime feed follows, within the search window
+function followedTrips(rows, atco, mapping, rt, now){
+  const followed = rows.filter(r => rt.byTrip.has(r.trip_id) && !rt.cancelled.has(r.trip_id));
+  const trips = new Map();
+  for(const d of scheduledDepartures(followed, mapping.tripMap, mapping.calendar, now, { limit: Infinity, graceMs: 0 })){
+    if(d.scheduled.getTime() > now.getTime() + JOURNEY_WINDOW_MS) break;
+    if(trips.has(d.trip_id)) continue;
+    trips.set(d.trip_id, {
+      trip_id: d.trip_id,
+      route: d.route_short || null,
+      headsign: d.trip_headsign || null,
+      stop: atco,
+      scheduled: d.scheduled,
+      serviceDay: serviceDayOf(d.scheduled, d.arrival_time),
+      records: rt.byTrip.get(d.trip_id)
+    });
+  }
+  return [...trips.values()];
+}
+
+// One-change journeys: first trips followed on from an origin, second trips the feed lists at the
+// destination, and a walk of at most walkM between a stop of each. Only the closest candidate
+// stops get their timetable fetched.
+async function changeJourneys(origins, originRows, dest, destRows, mapping, rt, walkM, now, directTrips){
+  const firsts = origins.flatMap((o, i) => followedTrips(originRows[i], o, mapping, rt, now)).filter(tr => !directTrips.has(tr.trip_id));
+  const seconds = followedTrips(destRows, dest, mapping, rt, now);
+  const ends = new Set([...origins, dest]);
+  const stopsOf = trips => [...new Set(trips.flatMap(tr => tr.records.map(r => r.stop_id)))].filter(s => !ends.has(s));
+  const pairs = [];
+  for(const a of stopsOf(firsts)){
+    for(const b of stopsOf(seconds)){
+      const m = a === b ? 0 : stopDistance(a, b);
+      if(m != null && m <= walkM) pairs.push([m, a, b]);
+    }
+  }
+  pairs.sort((x, y) => x[0] - y[0]);
+  const needed = new Set();
+  for(const [, a, b] of pairs){
+    if(needed.size >= MAX_CHANGE_STOPS) break;
+    needed.add(a);
+    needed.add(b);
+  }
+  if(!needed.size) return [];
+  const schedules = new Map(await Promise.all([...needed].map(async atco => [atco, await stopSchedule(atco)])));
+
+  // best-estimate times along a trip, keeping the calls at candidate stops that `keep` accepts
+  const at = r => r.predicted || r.scheduled;
+  const legs = (trips, keep) => trips.map(tr => {
+    const timeline = tripTimeline(tr.records, r => {
+      if(r.stop_id === tr.stop) return tr.scheduled;
+      const sched = schedules.get(r.stop_id);
+      const row = sched && sched.tripIndex.get(tr.trip_id);
+      const secs = row ? gtfsTimeToSeconds(row.arrival_time) : null;
+      return secs != null ? serviceTimeToDate(tr.serviceDay, secs) : null;
+    });
+    const end = timeline.find(r => r.stop_id === tr.stop);
+    if(end && end.stopRelationship === 'SKIPPED') return null;
+    const time = (end && at(end)) || tr.scheduled;
+    const calls = timeline
+      .filter(r => needed.has(r.stop_id) && r.stopRelationship !== 'SKIPPED' && at(r) && keep(at(r), time))
+      .map(r => ({ stop_id: r.stop_id, time: at(r) }));
+    return calls.length ? { trip_id: tr.trip_id, route: tr.route, headsign: tr.headsign, stop: tr.stop, time, calls } : null;
+  }).filter(Boolean);
+
+  const firstLegs = legs(firsts, (time, departs) => time > departs).map(l => ({ ...l, departs: l.time }));
+  const secondLegs = legs(seconds, (time, arrives) => time < arrives).map(l => ({ ...l, arrives: l.time }));
+  return oneChangeJourneys(firstLegs, secondLegs, stopDistance, { walkRadiusM: walkM }).map(c => ({ ...c, kind: 'change' }));
+}
+
+async function findJourneys(){
+  const status = document.getElementById('journey-status');
+  if(!journey.dest){ status.textContent = t('journey.pickDest'); return; }
+  const dest = journey.dest.properties.AtcoCode;
+  const origins = journeyOrigins().filter(a => a !== dest);
+  if(!origins.length){ status.textContent = t('journey.noOrigin'); return; }
+  const search = journey.search = {};
+  status.textContent = t('journey.searching');
+  document.getElementById('journey-results').innerHTML = '';
+  try {
+    const mapping = await ensureGtfsMapping();
+    const rowsOf = s => s ? s.rows : [];
+    const [destRows, ...originRows] = (await Promise.all([dest, ...origins].map(stopSchedule))).map(rowsOf);
+    await mapping.trips.lookup([destRows, ...originRows].flat().map(r => r.trip_id));
+    const now = new Date();
+    const rt = board.rt;
+
+    // a run reachable from several of the nearest stops is kept from the last one it calls at
+    const direct = new Map();
+    origins.forEach((from, i) => {
+      for(const j of directJourneys(originRows[i], destRows, mapping.tripMap, mapping.calendar, now, { limit: Infinity })){
+        const key = `${j.trip_id}@${j.arrives.getTime()}`;
+        if(!direct.has(key) || j.departs > direct.get(key).departs) direct.set(key, liveJourney({ ...j, from, to: dest }, rt));
       }
+    });
+
+    let changes = [], note = '';
+    if(document.getElementById('journey-change').checked){
+      const walkM = parseFloat(document.getElementById('journey-walk').value);
+      if(!rt) note = t('journey.noChanges');
+      else changes = await changeJourneys(origins, originRows, dest, destRows, mapping, rt,
+        walkM >= 0 ? walkM : DEFAULT_WALK_RADIUS_M, now, new Set([...direct.values()].map(j => j.trip_id)));
+    }
+    if(journey.search !== search) return; // superseded
+    journey.results = { dest, direct: [...direct.values()], changes, note };
+    renderJourneyResults();
+  } catch (err) {
+    if(journey.search !== search) return;
+    console.error('Journey search failed:', err);
+    status.textContent = t('status.error', { message: err.message });
+  }
+}
+
+// scheduled time, or the live estimate with its delay
+function journeyTime(scheduled, live){
+  if(!live) return formatClock(scheduled);
+  return `${formatClock(live)} (${formatDelay(Math.round((live - scheduled) / 1000))})`;
+}
+
+function renderJourneyResults(){
+  const status = document.getElementById('journey-status');
+  const list = document.getElementById('journey-results');
+  if(!list || !journey.results) return;
+  const { dest, direct, changes, note } = journey.results;
+  const to = journeyStopName(dest);
+  const arrival = j => j.arrivesLive || j.arrives;
+  const all = [...direct, ...changes].sort((a,b) => arrival(a) - arrival(b)).slice(0, JOURNEY_LIMIT);
+  status.textContent = [all.length ? t('journey.found', { to }) : t('journey.none', { to, hours: JOURNEY_WINDOW_MS / 3600000 }), note].filter(Boolean).join(' ');
+
+  list.innerHTML = '';
+  for(const j of all){
+    const li = document.createElement('li');
+    const line = (className, text) => {
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = text;
+      li.appendChild(span);
+    };
+    const boarding = (leg, atco, time) => t('journey.board', { route: leg.route || leg.trip_id, headsign: leg.headsign || t('common.unknown'), stop: journeyStopName(atco), time });
+    if(j.kind === 'change'){
+      const c = j.change;
+      line('journey-leg', boarding(j.first, j.first.stop, formatClock(j.departs)));
+      line('journey-walk', c.from === c.to
+        ? t('journey.sameStop', { stop: journeyStopName(c.from), time: formatClock(c.arrive) })
+        : t('journey.walk', { from: journeyStopName(c.from), time: formatClock(c.arrive), metres: c.walkM, to: journeyStopName(c.to) }));
+      line('journey-leg', boarding(j.second, c.to, formatClock(c.depart)));
+      line('journey-leg', t('journey.arrive', { stop: to, time: formatClock(j.arrives) }));
+    } else {
+      if(j.cancelled) li.className = 'journey-cancelled';
+      line('journey-leg', boarding(j, j.from, journeyTime(j.departs, j.departsLive)) + (j.cancelled ? ` — ${t('journey.cancelled')}` : ''));
+      line('journey-leg', t('journey.arrive', { stop: to, time: journeyTime(j.arrives, j.arrivesLive) }));
+    }
+    list.appendChild(li);
+  }
+}
+
+function renderJourneyDestResults(){
+  const input = document.getElementById('journey-dest');
+  const list = document.getElementById('journey-dest-results');
+  list.innerHTML = '';
+  if(!stopSearchIndex || journey.dest || !input.value.trim()) return;
+  for(const r of searchStops(stopSearchIndex, input.value, { from: userCoords })){
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'search-result';
+    btn.textContent = journeyStopName(r.feature.properties.AtcoCode) + (r.distance != null ? ` — ${r.distance} m` : '');
+    btn.addEventListener('click', () => {
+      journey.dest = r.feature;
+      input.value = journeyStopName(r.feature.properties.AtcoCode);
+      list.innerHTML = '';
+    });
+    li.appendChild(btn);
+    list.appendChild(li);
+  }
+}
+
+function initJourneyPlanner(){
+  const form = document.getElementById('journey-form');
+  if(!form) return;
+  document.getElementById('journey-walk').value = DEFAULT_WALK_RADIUS_M;
+  const input = document.getElementById('journey-dest');
+  let timer = null;
+  input.addEventListener('input', () => {
+    journey.dest = null; // typing again un-picks the stop
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      await ensureStops();
+      renderJourneyDestResults();
+    }, 150);
+  });
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    findJourneys();
+  });
+  renderJourneyOrigins();
+}
+
+// ----------------- departure alerts -----------------
+// The bell on an arrival row watches that run of the trip (departure-alerts.js). Every poll and
+// countdown tick checks the watches against the last realtime snapshot, whichever stops are on the
+// board; notifications go through the service worker where there is one, as Android requires.
+
+// how far ahead the bell's form offers to notify, in minutes
+const ALERT_MINUTE_CHOICES = [1, 2, 3, 5, 10, 15, 20];
+
+// watch id for a board row; null for rows there's nothing to wait for
+function departureAlertId(entry, d){
+  const when = d.scheduled || d.expected;
+  if(!when || d.kind === 'cancelled' || d.kind === 'skipped') return null;
+  return alertId(entry.atco, d.trip_id, when.getTime());
+}
+
+// the watched run's state in the realtime snapshot; null leaves it to the timetable
+function alertDeparture(alert, rt){
+  if(!rt) return null;
+  const scheduled = new Date(alert.scheduled);
+  const rec = rtRecordAt(rt, alert.atco, alert.trip_id, scheduled, alert.serviceDate);
+  if(rt.cancelled.has(alert.trip_id) || (rec && rec.tripRelationship === 'CANCELED')) return { kind: 'cancelled', expected: null, delaySeconds: null };
+  if(!rec || rec.stopRelationship === 'NO_DATA') return null;
+  if(rec.stopRelationship === 'SKIPPED') return { kind: 'skipped', expected: null, delaySeconds: null };
+  const expected = expectedArrival(scheduled, rec);
+  return { kind: 'live', expected, delaySeconds: rec.delaySeconds != null ? rec.delaySeconds : Math.round((expected - scheduled) / 1000) };
+}
+
+async function showNotification(title, options){
+  const reg = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if(reg) return reg.showNotification(title, options);
+  new Notification(title, options);
+}
+
+function notifyDeparture(alert, notice){
+  const name = `${alert.route || alert.trip_id} → ${alert.headsign || t('common.unknown')}`;
+  let title;
+  if(notice.type === 'cancelled') title = t('alert.cancelled', { name });
+  else if(notice.type === 'delay') title = t('alert.delayed', { name, mins: Math.round(notice.delaySeconds / 60) });
+  else title = t('alert.due', { name, countdown: formatCountdown(notice.expected) });
+  const stop = journeyStopName(alert.atco);
+  const body = notice.expected ? t('alert.body', { stop, time: formatClock(notice.expected) }) : stop;
+  // same tag per watch: a newer notice replaces the last one, and renotify makes it buzz again
+  showNotification(title, { body, tag: alert.id, renotify: true }).catch(err => console.warn('Notification failed:', err));
+}
+
+// evaluate every watch now; finished ones are dropped
+function checkAlerts(now = Date.now()){
+  const alerts = loadAlerts();
+  if(!alerts.length) return;
+  const canNotify = 'Notification' in window && Notification.permission === 'granted';
+  const kept = [];
+  for(const alert of alerts){
+    const result = evaluateAlert(alert, alertDeparture(alert, board.rt), now);
+    if(canNotify) for(const notice of result.notices) notifyDeparture(result.alert, notice);
+    if(!result.done) kept.push(result.alert);
+  }
+  saveAlerts(kept);
+}
+
+// the bell: stop watching, or ask in the row how many minutes ahead to be told
+function toggleAlert(entry, row){
+  const d = row.departure;
+  const id = d && departureAlertId(entry, d);
+  if(!id) return;
+  if(hasAlert(id)){
+    removeAlert(id);
+    tickBoard();
+    return;
+  }
+  if(row.alertForm && row.alertForm.parentNode){ row.alertForm.remove(); return; }
+  const name = `${d.route || d.trip_id} → ${d.headsign || t('common.unknown')}`;
+  const select = document.createElement('select');
+  for(const mins of ALERT_MINUTE_CHOICES){
+    const option = document.createElement('option');
+    option.value = String(mins);
+    option.textContent = t('alert.minutesOption', { mins });
+    select.appendChild(option);
+  }
+  select.value = String(DEFAULT_ALERT_MINUTES);
+  const { form, error } = buildInlineForm('alert-form', [labelled(t('alert.minutesLabel', { name }), select)], t('alert.watchSubmit'), async () => {
+    if(!('Notification' in window)) return t('alert.unsupported');
+    if(Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') return t('alert.denied');
+    addAlert({ atco: entry.atco, trip_id: d.trip_id, route: d.route, headsign: d.headsign, scheduled: d.scheduled || d.expected,
+      serviceDate: d.serviceDate, minutes: Number(select.value) });
+    tickBoard();
+  });
+  if(!('Notification' in window)) error.textContent = t('alert.unsupported');
+  row.alertForm = form;
+  row.li.appendChild(form);
+}
+
+// Refresh countdowns, staleness warnings and departure alerts without refetching
+function tickBoard(){
+  const now = Date.now();
+  checkAlerts(now);
+  const watched = new Set(loadAlerts().map(a => a.id));
+  for(const entry of board.stops){
+    for(const row of entry.rows.values()){
+      const on = watched.has(row.alertId);
+      row.bell.classList.toggle('watched', on);
+      row.bell.title = t(on ? 'alert.unwatch' : 'alert.watch');
+      const text = formatCountdown(row.expected, now);
+      if(row.countdown.textContent !== text) row.countdown.textContent = text;
+      const vtext = row.vehicle ? vehicleText(row.vehicle, entry.s, now) : '';
+      if(row.vehicleSpan.textContent !== vtext) row.vehicleSpan.textContent = vtext;
+      row.vehicleSpan.className = row.vehicle && isVehicleStale(row.vehicle, now) ? 'vehicle stale' : 'vehicle';
+    }
+    const age = entry.updatedAt ? now - entry.updatedAt : Infinity;
+    entry.stale.hidden = age <= STALE_AFTER_MS;
+    if(!entry.stale.hidden){
+      entry.stale.textContent = entry.updatedAt
+        ? t('stale.old', { age: formatAge(age) })
+        : t('stale.none');
+    }
+  }
+}
+
+// Next poll delay: normal interval, doubled per consecutive failure up to the ceiling
+function nextPollDelay(){
+  if(!board.failures) return RT_POLL_MS;
+  return Math.min(RT_POLL_MS * 2 ** board.failures, RT_POLL_MAX_MS);
+}
+
+function scheduleNextPoll(){
+  clearTimeout(board.pollTimer);
+  board.pollTimer = null;
+  if(document.hidden && !loadAlerts().length) return; // resumed by the visibilitychange handler
+  board.pollTimer = setTimeout(refreshBoard, nextPollDelay());
+}
+
+async function refreshBoard(){
+  // a refresh requested mid-flight (e.g. cards rebuilt) runs again as soon as this one ends
+  if(board.inFlight){ board.pending = true; return; }
+  board.inFlight = true;
+  const status = document.getElementById('status');
+  try {
+    let rtArrivals = null, rtVehicles = [];
+    try {
+      let rtAlerts;
+      ({ arrivals: rtArrivals, vehicles: rtVehicles, alerts: rtAlerts } = await loadRealtimeFromWorker());
+      board.alerts = rtAlerts;
+      board.failures = 0;
+      board.lastRefresh = Date.now();
+    } catch (err) {
+      board.failures++;
+      console.warn('GTFS-RT refresh failed:', err);
+      logDebug('Error:', err);
+      status.textContent = t('status.rtUnavailableLoading', { error: err.message });
+    }
+    const rtMap = buildRtStopMap(rtArrivals || []);
+    if(rtArrivals) logDebug('Total GTFS-RT arrivals>', rtArrivals.length, 'distinct stops in RT:', rtMap.size, 'vehicles:', rtVehicles.length, 'alerts:', board.alerts.length);
+
+    // timetable failures only cost the scheduled rows; retried on the next poll
+    const mapping = await ensureGtfsMapping().catch(err => { console.warn('Timetable unavailable:', err); return null; });
+
+    const rt = rtArrivals
+      ? { byStop: rtMap, byTrip: buildRtTripMap(rtArrivals), cancelled: cancelledTripIds(rtArrivals), vehicles: vehiclesByTrip(rtVehicles) }
+      : null;
+    board.rt = rt;
+    for(const entry of board.stops) await updateStopCard(entry, rt, mapping);
+    renderBoardRouteChips();
+    if(board.map) renderNearbyMap(board.map.coords, board.map.stops);
+    if(board.trip) renderTripDetail();
+
+    if(rtArrivals){
+      status.textContent = t('status.showingNearest', { time: formatTime(new Date(board.lastRefresh), true) });
+    } else {
+      const last = board.lastRefresh ? formatTime(new Date(board.lastRefresh), true) : t('status.never');
+      status.textContent = t('status.offline', { last, secs: Math.round(nextPollDelay()/1000) });
+    }
+  } catch (err) {
+    console.error('Error refreshing board:', err);
+    status.textContent = t('status.error', { message: err.message });
+  } finally {
+    board.inFlight = false;
+  }
+  if(board.pending){ board.pending = false; return refreshBoard(); }
+  tickBoard();
+  scheduleNextPoll();
+}
+
+// ----------------- route filter -----------------
+// Chips for every route serving a stop on the board; choosing some collapses the cards without them.
+
+function renderBoardRouteChips(){
+  const container = document.getElementById('route-filter');
+  if(!container) return;
+  const routes = board.stops.flatMap(e => [...e.servedRoutes]);
+  renderRouteChips(container, routes, board.routeFilter, filter => {
+    board.routeFilter = filter;
+    redrawBoard();
+  });
+}
+
+// re-merge every card from the last poll (no new fetch) after the filter changes
+async function redrawBoard(){
+  renderBoardRouteChips();
+  if(board.inFlight){ board.pending = true; return; } // that poll's rerun picks the filter up
+  const mapping = await ensureGtfsMapping().catch(err => { console.warn('Timetable unavailable:', err); return null; });
+  for(const entry of board.stops) await updateStopCard(entry, board.rt, mapping);
+  tickBoard();
+}
+
+function startTicker(){
+  clearInterval(board.tickTimer);
+  board.tickTimer = setInterval(tickBoard, COUNTDOWN_TICK_MS);
+}
+
+// Pause polling and countdowns while the tab is hidden (polling carries on while departures are
+// watched, for their notifications); refresh straight away on return
+function onVisibilityChange(){
+  if(!board.stops.length && !loadAlerts().length) return;
+  if(document.hidden){
+    clearInterval(board.tickTimer);
+    board.tickTimer = null;
+    if(loadAlerts().length) return;
+    clearTimeout(board.pollTimer);
+    board.pollTimer = null;
+  } else {
+    startTicker();
+    refreshBoard();
+  }
+}
+
+let stopIndex = null;        // stop-index.js grid, built once
+let stopSearchIndex = null;  // stop-search.js entries, built once
+let stopsByAtco = null;      // AtcoCode -> feature, for favourites
+let userCoords = null;       // last known position, if any
+
+async function ensureStops(){
+  if(stopIndex) return;
+  const { features } = await loadStops();
+  stopIndex = buildStopIndex(features);
+  stopSearchIndex = buildStopSearchIndex(features);
+  stopsByAtco = new Map(features.map(f => [f.properties.AtcoCode, f]));
+}
+
+// feature -> the { feature, distance, bearing8, lat, lon } shape stop cards are built from
+function annotateStop(feature){
+  const lat = parseFloat(feature.properties.Latitude);
+  const lon = parseFloat(feature.properties.Longitude);
+  if(!userCoords || isNaN(lat) || isNaN(lon)) return { feature, distance: null, bearingDeg: null, bearing8: null, lat, lon };
+  const {distance, bearingDeg, bearing8} = haversine(userCoords.latitude, userCoords.longitude, lat, lon);
+  return { feature, distance, bearingDeg, bearing8, lat, lon };
+}
+
+// Replace the board with the favourites section plus cards for the given stops, and start refreshing them
+async function showBoard(stops){
+  board.shown = stops;
+  const favEntries = renderFavouritesSection();
+  const container = document.getElementById('stops');
+  container.innerHTML = '';
+  const entries = stops.map(s => buildStopCard(s));
+  for(const entry of entries) container.appendChild(entry.div);
+  board.stops = [...favEntries, ...entries];
+  renderJourneyOrigins();
+  if(!board.stops.length && !loadAlerts().length) return; // watches are polled for even with no cards
+  startTicker();
+  await refreshBoard();
+}
+
+// Re-render the current view (after favourites change)
+function rebuildBoard(){
+  return showBoard(board.shown || []);
+}
+
+// ----------------- favourites -----------------
+// Favourite stop cards, shown above the nearest stops whatever the location; returns their board entries
+function renderFavouritesSection(){
+  const section = document.getElementById('favourites');
+  const list = document.getElementById('favourites-list');
+  if(!section || !list) return [];
+  list.innerHTML = '';
+  const favs = loadFavourites();
+  section.hidden = !favs.length;
+  const entries = [];
+  for(const fav of favs){
+    const feature = stopsByAtco && stopsByAtco.get(fav.atco);
+    if(!feature){ console.warn('Favourite stop not in stops data', fav.atco); continue; }
+    const entry = buildStopCard(annotateStop(feature), fav);
+    list.appendChild(entry.div);
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// label and route filter, edited in a form under the card's header; the Edit button again closes it
+function editFavourite(fav, feature, header){
+  const open = header.nextElementSibling;
+  if(open && open.classList.contains('fav-form')){ open.remove(); return; }
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.value = fav.label;
+  const routes = document.createElement('input');
+  routes.type = 'text';
+  routes.value = fav.routes.join(', ');
+  const { form } = buildInlineForm('fav-form', [
+    labelled(t('fav.labelField', { name: stopName(feature.properties) }), label),
+    labelled(t('fav.routesField'), routes)
+  ], t('fav.save'), () => {
+    updateFavourite(fav.atco, { label: label.value, routes: routes.value.split(',') });
+    rebuildBoard();
+  });
+  header.parentNode.insertBefore(form, header.nextElementSibling);
+}
 
-      stopDiv.appendChild(arrivalsUl);
-      container.appendChild(stopDiv);
+function initFavouritesControls(){
+  const exportBtn = document.getElementById('favourites-export');
+  const importInput = document.getElementById('favourites-import');
+  if(exportBtn) exportBtn.addEventListener('click', () => {
+    const blob = new Blob([exportFavourites()], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'dblive-favourites.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  });
+  const importError = document.getElementById('favourites-import-error');
+  if(importInput) importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    if(!file) return;
+    if(importError) importError.textContent = '';
+    try {
+      const added = importFavourites(await file.text());
+      logDebug('Imported favourites:', added, 'new');
+      await ensureStops();
+      rebuildBoard();
+    } catch (err) {
+      if(importError) importError.textContent = t('fav.importFailed', { message: err.message });
     }
+    importInput.value = '';
+  });
+}
 
-    status.textContent = `Showing nearest stops (RT-driven). Last refresh: ${new Date().toLocaleTimeString()}`;
+// ?stop= opens that stop's board; otherwise the nearest stops to the link's, the device's or the typed-in location
+async function renderStops(){
+  const status = document.getElementById('status');
+  try {
+    status.textContent = t('status.loadingStops');
+    await ensureStops();
+    if(!board.stops.length) await showBoard([]); // favourites don't need a location
+    status.textContent = t('status.gettingLocation');
+    const start = await resolveStartLocation(findStop);
+    if(start.stop) return openStopBoard(start.stop);
+    if(start.error) openLocationPicker(t('location.failed', { message: start.error.message }));
+    if(!start.coords){
+      stopFollowing();
+      status.textContent = t('location.unavailable');
+      return;
+    }
+    await showNearest(start.coords, start.source);
   } catch (err) {
     console.error('Error rendering stops:', err);
     const status = document.getElementById('status');
-    if(status) status.textContent = 'Error: ' + err.message;
+    if(status) status.textContent = t('status.error', { message: err.message });
     logDebug('Error:', err);
   }
 }
 
+function findStop(ref){
+  return stopsByAtco ? findStopByRef(stopsByAtco.values(), ref) : null;
+}
+
+// Board of the nearest stops to `coords`; a device position keeps being followed (watchPosition)
+async function showNearest(coords, source){
+  const status = document.getElementById('status');
+  userCoords = coords;
+  status.textContent = source === 'device'
+    ? t('status.location', {
+      lat: coords.latitude.toFixed(6),
+      lon: coords.longitude.toFixed(6),
+      accuracy: coords.accuracy ? Math.round(coords.accuracy) + ' m' : '?'
+    })
+    : t('status.locationSet', { lat: coords.latitude.toFixed(6), lon: coords.longitude.toFixed(6) });
+
+  // nearest k stops (or all within the chosen radius)
+  const nearest = nearestToUser();
+  if(!nearest.length){
+    stopFollowing();
+    document.getElementById('stops').innerHTML = '';
+    status.textContent = indexCovers(stopIndex, coords.latitude, coords.longitude) ? t('status.noStopsMatch') : t('location.outside');
+    return;
+  }
+
+  renderNearbyMap(coords, nearest);
+  status.textContent = t('status.fetchingRt');
+  if(source === 'device') startFollowing(coords);
+  else stopFollowing();
+  await showBoard(nearest);
+}
+
+function nearestToUser(){
+  return queryNearbyStops(stopIndex, userCoords.latitude, userCoords.longitude, readNearestOptions()).map(n => annotateStop(n.feature));
+}
+
+// Manual location form (location-source.js), shown when geolocation fails or on request
+function openLocationPicker(message = ''){
+  const container = document.getElementById('location-picker');
+  if(container) showLocationPicker(container, { message, findStop, onChange: renderStops });
+}
+
+// ----------------- live location -----------------
+// While the nearest stops to the device are shown, position updates re-rank them as the user walks.
+
+const RERANK_MIN_MOVE_M = 25;   // smaller moves (and GPS jitter) leave the board alone
+
+const follow = { watchId: null, coords: null }; // coords: where the board was last ranked from
+
+function startFollowing(coords){
+  follow.coords = coords;
+  if(follow.watchId != null || !('geolocation' in navigator)) return;
+  follow.watchId = navigator.geolocation.watchPosition(onPositionUpdate,
+    err => console.warn('Position updates unavailable:', err), { enableHighAccuracy: true, maximumAge: 10000 });
+}
+
+function stopFollowing(){
+  if(follow.watchId != null) navigator.geolocation.clearWatch(follow.watchId);
+  follow.watchId = null;
+  follow.coords = null;
+}
+
+function onPositionUpdate(pos){
+  const coords = pos.coords;
+  if(!follow.coords || !stopIndex) return;
+  if(greatCircleMetres(follow.coords.latitude, follow.coords.longitude, coords.latitude, coords.longitude) < RERANK_MIN_MOVE_M) return;
+  follow.coords = coords;
+  userCoords = coords;
+  const nearest = nearestToUser();
+  if(nearest.length) rerankBoard(coords, nearest);
+}
+
+// Re-rank the nearest-stop cards in place: stops still nearby keep their cards (rows, loaded
+// schedules) with distances brought up to date, new stops get cards, the rest are dropped
+function rerankBoard(coords, stops){
+  const container = document.getElementById('stops');
+  const favEntries = board.stops.filter(e => e.div.parentNode !== container);
+  const current = new Map(board.stops.filter(e => e.div.parentNode === container).map(e => [e.atco, e]));
+  let added = false;
+  const entries = stops.map(s => {
+    const entry = current.get(s.feature.properties.AtcoCode);
+    if(!entry){
+      added = true;
+      return buildStopCard(s);
+    }
+    current.delete(entry.atco);
+    entry.s = s;
+    entry.meta.textContent = stopMetaText(s);
+    return entry;
+  });
+  for(const entry of current.values()) entry.div.remove();
+  for(const entry of entries) container.appendChild(entry.div);
+  for(const entry of favEntries){
+    entry.s = annotateStop(entry.s.feature);
+    entry.meta.textContent = stopMetaText(entry.s);
+  }
+  board.shown = stops;
+  board.stops = [...favEntries, ...entries];
+  renderJourneyOrigins();
+  renderNearbyMap(coords, stops);
+  if(added) refreshBoard();
+  else tickBoard();
+}
+
+// Open the live board for a single stop (from search)
+async function openStopBoard(feature){
+  stopFollowing();
+  const status = document.getElementById('status');
+  status.textContent = t('status.showingStop', { name: stopName(feature.properties), number: stopNumberOf(feature.properties) });
+  await showBoard([annotateStop(feature)]);
+}
+
+// Buses serving the departures on the board, within MAP_VEHICLE_RADIUS_M of `coords`, for the map
+function boardVehicles(coords, now = Date.now()){
+  const seen = new Map();
+  for(const entry of board.stops){
+    for(const row of entry.rows.values()){
+      const v = row.vehicle;
+      if(!v || seen.has(v.trip_id)) continue;
+      if(haversine(coords.latitude, coords.longitude, v.lat, v.lon).distance > MAP_VEHICLE_RADIUS_M) continue;
+      const d = row.departure;
+      const age = v.timestamp ? `, ${t('vehicle.age', { age: formatPositionAge(now - v.timestamp) })}` : '';
+      seen.set(v.trip_id, {
+        lat: v.lat,
+        lon: v.lon,
+        bearing: v.bearing,
+        label: d.route || v.route_id || '',
+        title: `${d.route || d.trip_id} → ${d.headsign || t('common.unknown')}${v.label ? ` (${t('vehicle.bus', { label: v.label })})` : ''}${age}`,
+        stale: isVehicleStale(v, now)
+      });
+    }
+  }
+  return [...seen.values()];
+}
+
+// Map of the nearby stops and their buses; tapping a stop jumps to its card, or opens its board if not shown
+function renderNearbyMap(coords, stops){
+  const mapDiv = document.getElementById('map');
+  if(!mapDiv) return;
+  board.map = { coords, stops };
+  renderStopMap(mapDiv, {
+    center: coords,
+    accuracy: coords.accuracy,
+    heading: coords.heading,
+    stops,
+    vehicles: boardVehicles(coords),
+    onSelect: feature => {
+      const entry = board.stops.find(e => e.atco === feature.properties.AtcoCode);
+      if(entry) entry.div.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      else openStopBoard(feature);
+    }
+  });
+}
+
+// ----------------- stop search -----------------
+function renderSearchResults(){
+  const input = document.getElementById('stop-search');
+  const list = document.getElementById('search-results');
+  const byDistance = document.getElementById('search-by-distance');
+  list.innerHTML = '';
+  if(!stopSearchIndex || !input.value.trim()) return;
+
+  const results = searchStops(stopSearchIndex, input.value, { from: userCoords, byDistance: byDistance && byDistance.checked });
+  if(!results.length){
+    const li = document.createElement('li');
+    li.className = 'small';
+    li.textContent = t('search.none');
+    list.appendChild(li);
+    return;
+  }
+  for(const r of results){
+    const p = r.feature.properties;
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'search-result';
+    // the other language's name too, since either may be what was searched for
+    const name = stopName(p);
+    const other = [p.SCN_English, p.SCN_Gaeilge].find(n => n && n !== name);
+    btn.textContent = `${name}${other ? ` / ${other}` : ''} (#${stopNumberOf(p)})` + (r.distance != null ? ` — ${r.distance} m` : '');
+    btn.addEventListener('click', () => {
+      list.innerHTML = '';
+      input.value = '';
+      openStopBoard(r.feature);
+    });
+    li.appendChild(btn);
+    list.appendChild(li);
+  }
+}
+
+function initStopSearch(){
+  const input = document.getElementById('stop-search');
+  if(!input) return;
+  let timer = null;
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      await ensureStops();
+      renderSearchResults();
+    }, 150);
+  });
+  const byDistance = document.getElementById('search-by-distance');
+  if(byDistance) byDistance.addEventListener('change', renderSearchResults);
+}
+
+// k / radius / accessibility controls: reflected in the URL (?k=, ?radius=, ?access=) so the view can be bookmarked
+function initNearestControls(){
+  const form = document.getElementById('nearest-options');
+  if(!form) return;
+  const opts = readNearestOptions();
+  form.elements.k.value = opts.k;
+  form.elements.radius.value = opts.radius || '';
+  for(const box of form.querySelectorAll('input[name="access"]')) box.checked = opts.access.includes(box.value);
+  const setLocation = document.getElementById('location-set');
+  if(setLocation) setLocation.addEventListener('click', () => openLocationPicker());
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    const params = new URLSearchParams(location.search);
+    const k = parseInt(form.elements.k.value, 10);
+    const radius = parseFloat(form.elements.radius.value);
+    if(k > 0) params.set('k', k); else params.delete('k');
+    if(radius > 0) params.set('radius', radius); else params.delete('radius');
+    const access = [...form.querySelectorAll('input[name="access"]:checked')].map(b => b.value);
+    if(access.length) params.set('access', access.join(',')); else params.delete('access');
+    history.replaceState(null, '', `${location.pathname}?${params}`);
+    renderStops();
+  });
+}
+
+// Offline support (sw.js): static GTFS files and stop schedules are served from cache
+function registerServiceWorker(){
+  if(!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed:', err));
+}
+
+// Re-render everything language-dependent after the toggle (static markup is done by i18n.js)
+function onLanguageChange(){
+  renderSearchResults();
+  if(board.map) renderNearbyMap(board.map.coords, board.map.stops);
+  if(board.trip) renderTripDetail();
+  const dest = document.getElementById('journey-dest');
+  if(dest && journey.dest) dest.value = journeyStopName(journey.dest.properties.AtcoCode);
+  renderJourneyResults();
+  rebuildBoard();
+}
+
 // Init on DOM ready
 document.addEventListener('DOMContentLoaded', () => {
+  initLanguageToggle(onLanguageChange);
+  registerServiceWorker();
+  initNearestControls();
+  initStopSearch();
+  initFavouritesControls();
+  initTripDetail();
+  initJourneyPlanner();
   renderStops();
 });
+document.addEventListener('visibilitychange', onVisibilityChange);
@@ -0,0 +1,101 @@
+// departure-alerts.js
+// "Notify me when this bus is N minutes away" watches, kept in localStorage so they survive a
+// reload. evaluateAlert() decides what to tell the user from a watch and the latest state of its
+// departure; it takes the clock as an argument and touches neither the DOM nor the network.
+
+const ALERTS_KEY = 'dblive.alerts';
+const ALERTS_VERSION = 1;
+const DEFAULT_ALERT_MINUTES = 5;
+const HEAVY_DELAY_S = 10 * 60;          // delay worth a notification, and each further step of it
+const ALERT_DEPARTED_MS = 2 * 60000;    // a watch ends this long after the bus's best-estimate time
+
+// [{ id, atco, trip_id, route, headsign, scheduled (ms), serviceDate ('YYYYMMDD' | null), minutes, notified: { due, cancelled, delay } }]
+function loadAlerts(){
+  try {
+    const raw = localStorage.getItem(ALERTS_KEY);
+    if(!raw) return [];
+    return sanitizeAlerts(JSON.parse(raw));
+  } catch (err) {
+    console.warn('Ignoring unreadable departure alerts', err);
+    return [];
+  }
+}
+
+function saveAlerts(list){
+  localStorage.setItem(ALERTS_KEY, JSON.stringify({ version: ALERTS_VERSION, alerts: list }));
+}
+
+function sanitizeAlerts(data){
+  const alerts = data && Array.isArray(data.alerts) ? data.alerts : [];
+  const out = [];
+  for(const a of alerts){
+    if(!a || typeof a.atco !== 'string' || typeof a.trip_id !== 'string' || !Number.isFinite(a.scheduled)) continue;
+    const notified = a.notified || {};
+    out.push({
+      id: alertId(a.atco, a.trip_id, a.scheduled),
+      atco: a.atco,
+      trip_id: a.trip_id,
+      route: a.route || null,
+      headsign: a.headsign || null,
+      scheduled: a.scheduled,
+      serviceDate: /^\d{8}$/.test(a.serviceDate) ? a.serviceDate : null,
+      minutes: a.minutes >= 0 ? Number(a.minutes) : DEFAULT_ALERT_MINUTES,
+      notified: { due: !!notified.due, cancelled: !!notified.cancelled, delay: Number.isFinite(notified.delay) ? notified.delay : null }
+    });
+  }
+  return out;
+}
+
+// one watch per run of a trip at a stop
+function alertId(atco, trip_id, scheduled){
+  return `${atco}|${trip_id}|${scheduled}`;
+}
+
+function hasAlert(id){
+  return loadAlerts().some(a => a.id === id);
+}
+
+// { atco, trip_id, route, headsign, scheduled: Date, serviceDate, minutes } -> the stored watch
+function addAlert({ atco, trip_id, route, headsign, scheduled, serviceDate = null, minutes = DEFAULT_ALERT_MINUTES }){
+  const alert = sanitizeAlerts({ alerts: [{ atco, trip_id, route, headsign, scheduled: scheduled.getTime(), serviceDate, minutes }] })[0];
+  if(!alert) throw new Error('Departure alert needs a stop, trip and time');
+  const list = loadAlerts().filter(a => a.id !== alert.id);
+  list.push(alert);
+  saveAlerts(list);
+  return alert;
+}
+
+function removeAlert(id){
+  saveAlerts(loadAlerts().filter(a => a.id !== id));
+}
+
+// What to tell the user about `alert` now. `dep` is the departure's latest state,
+// { kind: 'live'|'scheduled'|'cancelled'|'skipped'|..., expected: Date | null, delaySeconds: number | null },
+// or null when the realtime source says nothing about it (the timetable time stands).
+// -> { notices: [{ type: 'due'|'cancelled'|'delay', expected, delaySeconds }], alert (updated copy), done }
+function evaluateAlert(alert, dep, now = Date.now()){
+  const next = { ...alert, notified: { ...alert.notified } };
+  const notices = [];
+  if(!dep) dep = { kind: 'scheduled', expected: null, delaySeconds: null };
+  if(dep.kind === 'cancelled' || dep.kind === 'skipped'){
+    if(!next.notified.cancelled) notices.push({ type: 'cancelled', expected: null, delaySeconds: null });
+    next.notified.cancelled = true;
+    return { notices, alert: next, done: true }; // nothing left to wait for
+  }
+
+  const expected = dep.expected ? dep.expected.getTime() : alert.scheduled;
+  const left = expected - now;
+  const delay = dep.delaySeconds;
+  // heavy delay: once on reaching it, again for each further HEAVY_DELAY_S
+  if(delay != null && delay >= HEAVY_DELAY_S && (next.notified.delay == null || delay - next.notified.delay >= HEAVY_DELAY_S)){
+    notices.push({ type: 'delay', expected: new Date(expected), delaySeconds: delay });
+    next.notified.delay = delay;
+    // already told it was close: tell again when it really is
+    if(left > next.minutes * 60000) next.notified.due = false;
+  }
+  if(!next.notified.due && left <= next.minutes * 60000){
+    notices.push({ type: 'due', expected: new Date(expected), delaySeconds: delay });
+    next.notified.due = true;
+  }
+  return { notices, alert: next, done: left < -ALERT_DEPARTED_MS };
+}
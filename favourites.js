@@ -0,0 +1,83 @@
+// favourites.js
+// Favourite stops kept in localStorage, keyed by AtcoCode, each with an optional custom
+// label and preferred route filter. Export/import is plain JSON so a list can move between devices.
+
+const FAVOURITES_KEY = 'dblive.favourites';
+const FAVOURITES_VERSION = 1;
+
+// [{ atco, label, routes: [route_short...] }] in the order they were added
+function loadFavourites(){
+  try {
+    const raw = localStorage.getItem(FAVOURITES_KEY);
+    if(!raw) return [];
+    return sanitizeFavourites(JSON.parse(raw));
+  } catch (err) {
+    console.warn('Ignoring unreadable favourites', err);
+    return [];
+  }
+}
+
+function saveFavourites(list){
+  localStorage.setItem(FAVOURITES_KEY, JSON.stringify({ version: FAVOURITES_VERSION, stops: list }));
+}
+
+// accept { version, stops: [...] } or a bare array; drop anything without an AtcoCode, dedupe
+function sanitizeFavourites(data){
+  const stops = Array.isArray(data) ? data : (data && Array.isArray(data.stops) ? data.stops : null);
+  if(!stops) throw new Error('Favourites file has no "stops" list');
+  const seen = new Set();
+  const out = [];
+  for(const f of stops){
+    const atco = f && typeof f.atco === 'string' ? f.atco.trim() : '';
+    if(!atco || seen.has(atco)) continue;
+    seen.add(atco);
+    out.push({
+      atco,
+      label: typeof f.label === 'string' ? f.label.trim() : '',
+      routes: Array.isArray(f.routes) ? f.routes.map(r => String(r).trim()).filter(Boolean) : []
+    });
+  }
+  return out;
+}
+
+function isFavourite(atco){
+  return loadFavourites().some(f => f.atco === atco);
+}
+
+// add (or remove if already present); returns true when the stop is now a favourite
+function toggleFavourite(atco){
+  const list = loadFavourites();
+  const i = list.findIndex(f => f.atco === atco);
+  if(i >= 0) list.splice(i, 1);
+  else list.push({ atco, label: '', routes: [] });
+  saveFavourites(list);
+  return i < 0;
+}
+
+// merge { label?, routes? } into an existing favourite
+function updateFavourite(atco, changes){
+  const list = loadFavourites();
+  const fav = list.find(f => f.atco === atco);
+  if(!fav) return;
+  if(changes.label !== undefined) fav.label = String(changes.label).trim();
+  if(changes.routes !== undefined) fav.routes = changes.routes.map(r => String(r).trim()).filter(Boolean);
+  saveFavourites(list);
+}
+
+function exportFavourites(){
+  return JSON.stringify({ version: FAVOURITES_VERSION, stops: loadFavourites() }, null, 2);
+}
+
+// merge an exported list into ours; imported labels/filters win for stops in both. Returns count added.
+function importFavourites(text){
+  const incoming = sanitizeFavourites(JSON.parse(text));
+  const list = loadFavourites();
+  let added = 0;
+  for(const fav of incoming){
+    const existing = list.find(f => f.atco === fav.atco);
+    if(existing) Object.assign(existing, fav);
+    else { list.push(fav); added++; }
+  }
+  saveFavourites(list);
+  return added;
+}
@@ -0,0 +1,121 @@
+// gtfs-calendar.js
+// Service calendar built from calendar.txt + calendar_dates.txt.
+// Answers "does service X run on date D?" using the real date ranges and exceptions.
+// Needs gtfs-csv.js for loading.
+
+// Date#getDay() order; calendar.txt columns are looked up by these names, not position
+const GTFS_WEEKDAYS = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'];
+
+// how far ahead nextServiceDate() looks before giving up
+const CALENDAR_LOOKAHEAD_DAYS = 366;
+
+// Date -> 'YYYYMMDD' (local time, as GTFS dates are service-local)
+function gtfsDateKey(date){
+  const y = date.getFullYear();
+  const m = String(date.getMonth()+1).padStart(2,'0');
+  const d = String(date.getDate()).padStart(2,'0');
+  return `${y}${m}${d}`;
+}
+
+// 'YYYYMMDD' -> Date at local midnight (null if malformed)
+function parseGtfsDate(str){
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(String(str||'').trim());
+  if(!m) return null;
+  return new Date(Number(m[1]), Number(m[2])-1, Number(m[3]));
+}
+
+function addDays(date, n){
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate()+n);
+  return d;
+}
+
+// Build the calendar from header-keyed rows ({service_id, monday, ..., start_date, end_date})
+function buildServiceCalendar(calendarRows, calendarDateRows){
+  const services = new Map();   // service_id -> { days: [7 bools, Sunday first], start: 'YYYYMMDD', end: 'YYYYMMDD' }
+  const exceptions = new Map(); // service_id -> Map(dateKey -> 1 added | 2 removed)
+
+  for(const row of calendarRows || []){
+    const id = row.service_id;
+    if(!id) continue;
+    services.set(id, {
+      days: GTFS_WEEKDAYS.map(name => row[name] === '1'),
+      start: row.start_date || '',
+      end: row.end_date || ''
+    });
+  }
+
+  for(const row of calendarDateRows || []){
+    const id = row.service_id;
+    const type = Number(row.exception_type);
+    if(!id || !parseGtfsDate(row.date) || (type !== 1 && type !== 2)) continue;
+    if(!exceptions.has(id)) exceptions.set(id, new Map());
+    exceptions.get(id).set(row.date, type);
+  }
+
+  return { services, exceptions };
+}
+
+// Does service_id run on the given date? Exceptions win over the weekly pattern.
+function serviceRunsOn(calendar, service_id, date){
+  const key = gtfsDateKey(date);
+  const ex = calendar.exceptions.get(service_id);
+  if(ex && ex.has(key)) return ex.get(key) === 1;
+  const svc = calendar.services.get(service_id);
+  if(!svc) return false;
+  if(svc.start && key < svc.start) return false;
+  if(svc.end && key > svc.end) return false;
+  return svc.days[date.getDay()];
+}
+
+// First date on or after `from` that service_id runs, or null within the lookahead
+function nextServiceDate(calendar, service_id, from = new Date(), maxDays = CALENDAR_LOOKAHEAD_DAYS){
+  for(let i = 0; i <= maxDays; i++){
+    const d = addDays(from, i);
+    if(serviceRunsOn(calendar, service_id, d)) return d;
+  }
+  return null;
+}
+
+// Load calendar.txt + calendar_dates.txt (from `base`, e.g. a local build/ drop)
+async function loadServiceCalendar(base = ''){
+  const calendarRows = await loadCSV(`${base}calendar.txt`);
+  const calendarDateRows = await loadCSV(`${base}calendar_dates.txt`);
+  return buildServiceCalendar(calendarRows, calendarDateRows);
+}
+
+// ----------------- scheduled departures -----------------
+
+// "HH:MM:SS" -> seconds after the service day's midnight; GTFS allows hours past 24 (null if malformed)
+function gtfsTimeToSeconds(str){
+  const m = /^\s*(\d{1,3}):(\d{2})(?::(\d{2}))?\s*$/.exec(String(str || ''));
+  if(!m) return null;
+  return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] || 0);
+}
+
+// Scheduled time of `seconds` on the service day starting at `serviceDay` midnight
+function serviceTimeToDate(serviceDay, seconds){
+  // Date rolls 25:10:00 over into the next morning
+  return new Date(serviceDay.getFullYear(), serviceDay.getMonth(), serviceDay.getDate(), 0, 0, seconds);
+}
+
+// Stop schedule rows ({ trip_id, arrival_time, ... }) that actually run, as
+// [{ ...row, scheduled: Date, service_id, serviceDate: 'YYYYMMDD' }] from `now` on, soonest first. Yesterday's
+// service day is included so trips timed after 24:00:00 still show after midnight.
+function scheduledDepartures(rows, tripMap, calendar, now = new Date(), { limit = 10, graceMs = 60000 } = {}){
+  const out = [];
+  for(const offset of [-1, 0, 1]){
+    const serviceDay = addDays(now, offset);
+    for(const row of rows || []){
+      const service_id = tripMap[row.trip_id];
+      if(!service_id || !serviceRunsOn(calendar, service_id, serviceDay)) continue;
+      const secs = gtfsTimeToSeconds(row.arrival_time);
+      if(secs == null) continue;
+      const scheduled = serviceTimeToDate(serviceDay, secs);
+      if(scheduled.getTime() < now.getTime() - graceMs) continue;
+      out.push({ ...row, service_id, scheduled, serviceDate: gtfsDateKey(serviceDay) });
+    }
+  }
+  out.sort((a,b) => a.scheduled - b.scheduled);
+  return out.slice(0, limit);
+}
@@ -0,0 +1,123 @@
+// gtfs-csv.js
+// RFC 4180 CSV reader for GTFS text files. Columns are mapped by header name,
+// quoted fields ("Dundalk IT, stop 138951", embedded "" and newlines) are kept intact,
+// and CRLF / BOM never leak into keys or values.
+
+// bytes fed to pako per step when streaming gzipped files
+const CSV_CHUNK_SIZE = 64 * 1024;
+
+// Incremental parser: push() text chunks in any split, onRow gets one object per record
+function createCsvParser(onRow){
+  let header = null;
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let pendingQuote = false; // saw a '"' inside quotes; next char decides escape vs close
+  let sawAny = false;       // current record has content (skips blank lines)
+  let first = true;
+
+  function endField(){
+    record.push(field);
+    field = '';
+  }
+
+  function endRecord(){
+    endField();
+    if(sawAny){
+      if(!header){
+        header = record.map(h => h.trim());
+      } else {
+        const row = {};
+        for(let i = 0; i < header.length; i++) row[header[i]] = record[i] !== undefined ? record[i] : '';
+        onRow(row);
+      }
+    }
+    record = [];
+    sawAny = false;
+  }
+
+  function push(text){
+    let i = 0;
+    if(first && text.length){
+      if(text.charCodeAt(0) === 0xFEFF) i = 1;
+      first = false;
+    }
+    for(; i < text.length; i++){
+      const ch = text[i];
+      if(pendingQuote){
+        pendingQuote = false;
+        if(ch === '"'){ field += '"'; continue; }
+        inQuotes = false; // closing quote; fall through to handle ch normally
+      }
+      if(inQuotes){
+        if(ch === '"') pendingQuote = true;
+        else field += ch;
+        continue;
+      }
+      if(ch === '"'){ inQuotes = true; sawAny = true; }
+      else if(ch === ','){ endField(); sawAny = true; }
+      else if(ch === '\n'){ endRecord(); }
+      else if(ch === '\r'){ /* CRLF: the \n ends the record */ }
+      else { field += ch; sawAny = true; }
+    }
+  }
+
+  function end(){
+    if(pendingQuote){ pendingQuote = false; inQuotes = false; }
+    if(inQuotes) console.warn('CSV ended inside a quoted field');
+    if(sawAny || field) endRecord();
+  }
+
+  return { push, end };
+}
+
+// Parse a whole CSV string into header-keyed rows
+function parseCSV(text){
+  const rows = [];
+  const parser = createCsvParser(row => rows.push(row));
+  parser.push(text);
+  parser.end();
+  return rows;
+}
+
+// Fetch a plain CSV file as header-keyed rows
+async function loadCSV(path){
+  const resp = await fetch(path);
+  if(!resp.ok) throw new Error(`Cannot fetch ${path}`);
+  return parseCSV(await resp.text());
+}
+
+// Stream a gzipped CSV through pako in chunks; onRow is called per record, resolves with the row count
+async function streamGzipCSV(url, onRow, chunkSize = CSV_CHUNK_SIZE){
+  if(typeof pako === 'undefined') throw new Error('pako not available');
+  const resp = await fetch(url);
+  if(!resp.ok) throw new Error(`Cannot fetch ${url}: ${resp.status}`);
+
+  let count = 0;
+  const parser = createCsvParser(row => { count++; onRow(row); });
+  const decoder = new TextDecoder('utf-8');
+  const inflator = new pako.Inflate();
+  inflator.onData = chunk => parser.push(decoder.decode(chunk, { stream: true }));
+
+  const feed = (bytes, last) => {
+    inflator.push(bytes, last);
+    if(inflator.err) throw new Error(`Cannot ungzip ${url}: ${inflator.msg}`);
+  };
+
+  if(resp.body && resp.body.getReader){
+    const reader = resp.body.getReader();
+    for(;;){
+      const { done, value } = await reader.read();
+      if(done) break;
+      for(let i = 0; i < value.length; i += chunkSize) feed(value.subarray(i, i + chunkSize), false);
+    }
+    feed(new Uint8Array(0), true);
+  } else {
+    const bytes = new Uint8Array(await resp.arrayBuffer());
+    for(let i = 0; i < bytes.length; i += chunkSize) feed(bytes.subarray(i, i + chunkSize), i + chunkSize >= bytes.length);
+  }
+
+  parser.push(decoder.decode());
+  parser.end();
+  return count;
+}
@@ -0,0 +1,488 @@
+// gtfs-rt.js
+// GTFS-Realtime FeedMessage decoder (TripUpdate, VehiclePosition, Alert) plus the
+// internal arrival, vehicle and alert models shared by the raw protobuf feed and the worker's JSON shapes.
+// Decoded messages use the same camelCase names as the protobuf JSON mapping
+// (entity[].tripUpdate.stopTimeUpdate[].arrival.time, ...), with enums as strings.
+
+// ----------------- protobuf wire reader -----------------
+const PB_VARINT = 0, PB_FIXED64 = 1, PB_BYTES = 2, PB_FIXED32 = 5;
+const utf8Decoder = new TextDecoder('utf-8');
+
+function pbReader(bytes, start = 0, end = bytes.length){
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = start;
+
+  // varint as unsigned 32-bit halves (JS numbers only hold 53 bits)
+  function varint64(){
+    let lo = 0, hi = 0, b;
+    for(let shift = 0; ; shift += 7){
+      if(pos >= end || shift > 63) throw new Error('GTFS-RT: malformed varint');
+      b = bytes[pos++];
+      if(shift < 28) lo |= (b & 0x7f) << shift;
+      else if(shift === 28){ lo |= (b & 0x0f) << 28; hi |= (b & 0x7f) >>> 4; }
+      else hi |= (b & 0x7f) << (shift - 32);
+      if(!(b & 0x80)) break;
+    }
+    return { lo: lo >>> 0, hi: hi >>> 0 };
+  }
+
+  function need(n){
+    if(pos + n > end) throw new Error('GTFS-RT: truncated field');
+  }
+
+  return {
+    done: () => pos >= end,
+    tag(){ const t = this.uint(); return { field: Math.floor(t / 8), wire: t & 7 }; },
+    uint(){ const { lo, hi } = varint64(); return hi * 4294967296 + lo; },
+    // int32 / int64: negatives are sign-extended to 10 bytes on the wire
+    int(){
+      const { lo, hi } = varint64();
+      if(hi & 0x80000000) return -((~hi >>> 0) * 4294967296 + (~lo >>> 0) + 1);
+      return hi * 4294967296 + lo;
+    },
+    bool(){ return this.uint() !== 0; },
+    float(){ need(4); const v = view.getFloat32(pos, true); pos += 4; return v; },
+    double(){ need(8); const v = view.getFloat64(pos, true); pos += 8; return v; },
+    string(){ const r = this.sub(); return utf8Decoder.decode(bytes.subarray(r.start, r.end)); },
+    sub(){
+      const n = this.uint();
+      need(n);
+      const s = pos;
+      pos += n;
+      return Object.assign(pbReader(bytes, s, pos), { start: s, end: pos });
+    },
+    skip(wire){
+      if(wire === PB_VARINT) this.uint();
+      else if(wire === PB_FIXED64){ need(8); pos += 8; }
+      else if(wire === PB_BYTES) this.sub();
+      else if(wire === PB_FIXED32){ need(4); pos += 4; }
+      else throw new Error(`GTFS-RT: unsupported wire type ${wire}`);
+    }
+  };
+}
+
+// Decode a message from a field table: { fieldNo: [name, readFn, repeated?] }; unknown fields are skipped
+function pbMessage(r, fields){
+  const msg = {};
+  while(!r.done()){
+    const { field, wire } = r.tag();
+    const spec = fields[field];
+    if(!spec){ r.skip(wire); continue; }
+    const [name, read, repeated] = spec;
+    const value = read(r);
+    if(repeated) (msg[name] = msg[name] || []).push(value);
+    else msg[name] = value;
+  }
+  return msg;
+}
+
+// enum and nested readers keep their tables, for tools/build-rt-sample.js to encode with
+const pbEnum = names => Object.assign(r => { const v = r.uint(); return names[v] !== undefined ? names[v] : v; }, { names });
+const pbNested = fields => Object.assign(r => pbMessage(r.sub(), fields), { fields });
+const pbString = r => r.string();
+const pbUint = r => r.uint();
+const pbInt = r => r.int();
+const pbBool = r => r.bool();
+const pbFloat = r => r.float();
+const pbDouble = r => r.double();
+
+// ----------------- gtfs-realtime.proto schema -----------------
+const TRIP_SCHEDULE_RELATIONSHIP = { 0: 'SCHEDULED', 1: 'ADDED', 2: 'UNSCHEDULED', 3: 'CANCELED', 5: 'REPLACEMENT', 6: 'DUPLICATED', 7: 'DELETED' };
+const STOP_SCHEDULE_RELATIONSHIP = { 0: 'SCHEDULED', 1: 'SKIPPED', 2: 'NO_DATA', 3: 'UNSCHEDULED' };
+
+const TRIP_DESCRIPTOR = {
+  1: ['tripId', pbString], 5: ['routeId', pbString], 6: ['directionId', pbUint],
+  2: ['startTime', pbString], 3: ['startDate', pbString],
+  4: ['scheduleRelationship', pbEnum(TRIP_SCHEDULE_RELATIONSHIP)]
+};
+const VEHICLE_DESCRIPTOR = { 1: ['id', pbString], 2: ['label', pbString], 3: ['licensePlate', pbString] };
+const STOP_TIME_EVENT = { 1: ['delay', pbInt], 2: ['time', pbInt], 3: ['uncertainty', pbInt] };
+const STOP_TIME_UPDATE = {
+  1: ['stopSequence', pbUint], 4: ['stopId', pbString],
+  2: ['arrival', pbNested(STOP_TIME_EVENT)], 3: ['departure', pbNested(STOP_TIME_EVENT)],
+  5: ['scheduleRelationship', pbEnum(STOP_SCHEDULE_RELATIONSHIP)]
+};
+const TRIP_UPDATE = {
+  1: ['trip', pbNested(TRIP_DESCRIPTOR)], 3: ['vehicle', pbNested(VEHICLE_DESCRIPTOR)],
+  2: ['stopTimeUpdate', pbNested(STOP_TIME_UPDATE), true],
+  4: ['timestamp', pbUint], 5: ['delay', pbInt]
+};
+const POSITION = { 1: ['latitude', pbFloat], 2: ['longitude', pbFloat], 3: ['bearing', pbFloat], 4: ['odometer', pbDouble], 5: ['speed', pbFloat] };
+const VEHICLE_POSITION = {
+  1: ['trip', pbNested(TRIP_DESCRIPTOR)], 8: ['vehicle', pbNested(VEHICLE_DESCRIPTOR)],
+  2: ['position', pbNested(POSITION)], 3: ['currentStopSequence', pbUint], 7: ['stopId', pbString],
+  4: ['currentStatus', pbEnum({ 0: 'INCOMING_AT', 1: 'STOPPED_AT', 2: 'IN_TRANSIT_TO' })],
+  5: ['timestamp', pbUint],
+  6: ['congestionLevel', pbEnum({ 0: 'UNKNOWN_CONGESTION_LEVEL', 1: 'RUNNING_SMOOTHLY', 2: 'STOP_AND_GO', 3: 'CONGESTION', 4: 'SEVERE_CONGESTION' })],
+  9: ['occupancyStatus', pbEnum({ 0: 'EMPTY', 1: 'MANY_SEATS_AVAILABLE', 2: 'FEW_SEATS_AVAILABLE', 3: 'STANDING_ROOM_ONLY', 4: 'CRUSHED_STANDING_ROOM_ONLY', 5: 'FULL', 6: 'NOT_ACCEPTING_PASSENGERS' })]
+};
+const TIME_RANGE = { 1: ['start', pbUint], 2: ['end', pbUint] };
+const ENTITY_SELECTOR = {
+  1: ['agencyId', pbString], 2: ['routeId', pbString], 3: ['routeType', pbInt],
+  4: ['trip', pbNested(TRIP_DESCRIPTOR)], 5: ['stopId', pbString], 6: ['directionId', pbUint]
+};
+const TRANSLATED_STRING = { 1: ['translation', pbNested({ 1: ['text', pbString], 2: ['language', pbString] }), true] };
+const ALERT_CAUSE = { 1: 'UNKNOWN_CAUSE', 2: 'OTHER_CAUSE', 3: 'TECHNICAL_PROBLEM', 4: 'STRIKE', 5: 'DEMONSTRATION', 6: 'ACCIDENT', 7: 'HOLIDAY', 8: 'WEATHER', 9: 'MAINTENANCE', 10: 'CONSTRUCTION', 11: 'POLICE_ACTIVITY', 12: 'MEDICAL_EMERGENCY' };
+const ALERT_EFFECT = { 1: 'NO_SERVICE', 2: 'REDUCED_SERVICE', 3: 'SIGNIFICANT_DELAYS', 4: 'DETOUR', 5: 'ADDITIONAL_SERVICE', 6: 'MODIFIED_SERVICE', 7: 'OTHER_EFFECT', 8: 'UNKNOWN_EFFECT', 9: 'STOP_MOVED', 10: 'NO_EFFECT', 11: 'ACCESSIBILITY_ISSUE' };
+const ALERT_SEVERITY = { 1: 'UNKNOWN_SEVERITY', 2: 'INFO', 3: 'WARNING', 4: 'SEVERE' };
+const ALERT = {
+  1: ['activePeriod', pbNested(TIME_RANGE), true],
+  5: ['informedEntity', pbNested(ENTITY_SELECTOR), true],
+  6: ['cause', pbEnum(ALERT_CAUSE)],
+  7: ['effect', pbEnum(ALERT_EFFECT)],
+  8: ['url', pbNested(TRANSLATED_STRING)],
+  10: ['headerText', pbNested(TRANSLATED_STRING)],
+  11: ['descriptionText', pbNested(TRANSLATED_STRING)],
+  14: ['severityLevel', pbEnum(ALERT_SEVERITY)]
+};
+const FEED_ENTITY = {
+  1: ['id', pbString], 2: ['isDeleted', pbBool],
+  3: ['tripUpdate', pbNested(TRIP_UPDATE)], 4: ['vehicle', pbNested(VEHICLE_POSITION)], 5: ['alert', pbNested(ALERT)]
+};
+const FEED_HEADER = {
+  1: ['gtfsRealtimeVersion', pbString],
+  2: ['incrementality', pbEnum({ 0: 'FULL_DATASET', 1: 'DIFFERENTIAL' })],
+  3: ['timestamp', pbUint]
+};
+const FEED_MESSAGE = { 1: ['header', pbNested(FEED_HEADER)], 2: ['entity', pbNested(FEED_ENTITY), true] };
+
+// Decode a binary FeedMessage (ArrayBuffer or Uint8Array)
+function decodeFeedMessage(buf){
+  const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+  const feed = pbMessage(pbReader(bytes), FEED_MESSAGE);
+  if(!feed.entity) feed.entity = [];
+  return feed;
+}
+
+// ----------------- internal arrival model -----------------
+// One record per (trip, stop):
+// { trip_id, route_id, trip_headsign, startDate ('YYYYMMDD' service date | null), stop_id, stop_sequence, arrivalTimestamp (ms epoch | null),
+//   delaySeconds (| null), vehicleId (| null), tripRelationship ('SCHEDULED' | 'ADDED' | 'CANCELED' | ...), stopRelationship ('SCHEDULED' | 'SKIPPED' | 'NO_DATA' | ...) }
+// A trip update without stop updates (typically a cancellation) gives one trip-level record with stop_id null.
+// trip_headsign is only set when a worker adds it to the trip; it is not a GTFS-RT field.
+
+// enum value as its name, whether JSON carried the name or the number
+function rtEnum(v, names, fallback = 'SCHEDULED'){
+  if(v === undefined || v === null || v === '') return fallback;
+  if(typeof v === 'number' || /^\d+$/.test(v)) return names[Number(v)] || fallback;
+  const name = String(v).toUpperCase();
+  return name === 'CANCELLED' ? 'CANCELED' : name;
+}
+
+// read a field whether the JSON came through as camelCase or snake_case
+function rtField(obj, camel, snake){
+  if(!obj) return undefined;
+  return obj[camel] !== undefined ? obj[camel] : obj[snake];
+}
+
+// protobuf JSON encodes int64 as strings
+function toNumberOrNull(v){
+  if(v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return isNaN(n) ? null : n;
+}
+
+// FeedMessage (decoded or JSON) -> arrival records
+function feedToArrivals(feed){
+  const arrivals = [];
+  for(const e of (feed && feed.entity) || []){
+    const tu = rtField(e, 'tripUpdate', 'trip_update');
+    if(!tu || rtField(e, 'isDeleted', 'is_deleted')) continue;
+    const trip = tu.trip || {};
+    const vehicle = tu.vehicle || {};
+    const tripRec = {
+      trip_id: rtField(trip, 'tripId', 'trip_id') || null,
+      route_id: rtField(trip, 'routeId', 'route_id') || null,
+      trip_headsign: rtField(trip, 'tripHeadsign', 'trip_headsign') || null,
+      startDate: rtField(trip, 'startDate', 'start_date') || null,
+      vehicleId: vehicle.id || null,
+      tripRelationship: rtEnum(rtField(trip, 'scheduleRelationship', 'schedule_relationship'), TRIP_SCHEDULE_RELATIONSHIP)
+    };
+    const tripDelay = toNumberOrNull(tu.delay);
+    const updates = rtField(tu, 'stopTimeUpdate', 'stop_time_update') || [];
+    if(!updates.length){
+      arrivals.push({ ...tripRec, stop_id: null, stop_sequence: null, arrivalTimestamp: null, delaySeconds: tripDelay, stopRelationship: 'SCHEDULED' });
+      continue;
+    }
+    for(const stu of updates){
+      const stopRelationship = rtEnum(rtField(stu, 'scheduleRelationship', 'schedule_relationship'), STOP_SCHEDULE_RELATIONSHIP);
+      // NO_DATA: the feed explicitly has no prediction for this stop
+      const event = stopRelationship === 'NO_DATA' ? {} : (stu.arrival || stu.departure || {});
+      const time = toNumberOrNull(event.time);
+      const delay = toNumberOrNull(event.delay);
+      arrivals.push({
+        ...tripRec,
+        stop_id: rtField(stu, 'stopId', 'stop_id') || null,
+        stop_sequence: toNumberOrNull(rtField(stu, 'stopSequence', 'stop_sequence')),
+        arrivalTimestamp: time != null ? time * 1000 : null,
+        delaySeconds: delay != null ? delay : (stopRelationship === 'NO_DATA' ? null : tripDelay),
+        stopRelationship
+      });
+    }
+  }
+  return arrivals;
+}
+
+// Worker's own { arrivals: [...] } records, in the several shapes it has produced, -> arrival records
+function normalizeWorkerArrival(rec){
+  const trip = rec.trip || (rec.trip_update && rec.trip_update.trip) || {};
+  const stu = rec.stop_time_update || rec.stop || {};
+  const ts = rec.arrivalTimestamp;
+  let arrivalTimestamp = null;
+  if(ts != null && ts !== ''){
+    // ISO string, epoch ms, or epoch seconds
+    const n = Number(ts);
+    arrivalTimestamp = isNaN(n) ? Date.parse(ts) : (n < 1e12 ? n * 1000 : n);
+    if(isNaN(arrivalTimestamp)) arrivalTimestamp = null;
+  }
+  return {
+    trip_id: rec.trip_id || trip.trip_id || null,
+    route_id: rec.route_id || trip.route_id || null,
+    trip_headsign: rec.trip_headsign || null,
+    startDate: rec.startDate || rec.start_date || trip.start_date || null,
+    stop_id: rec.stop_id || stu.stop_id || (typeof rec.stop === 'string' ? rec.stop : null),
+    stop_sequence: toNumberOrNull(rec.stop_sequence),
+    arrivalTimestamp,
+    delaySeconds: toNumberOrNull(rec.delaySeconds),
+    vehicleId: rec.vehicleId || null,
+    tripRelationship: rec.cancelled || rec.canceled ? 'CANCELED'
+      : rtEnum(rec.tripRelationship || rec.trip_schedule_relationship || trip.schedule_relationship, TRIP_SCHEDULE_RELATIONSHIP),
+    stopRelationship: rec.skipped ? 'SKIPPED'
+      : rtEnum(rec.stopRelationship || rec.schedule_relationship || stu.schedule_relationship, STOP_SCHEDULE_RELATIONSHIP)
+  };
+}
+
+// trip_ids the feed says are cancelled (at trip level or at any stop)
+function cancelledTripIds(arrivals){
+  return new Set(arrivals.filter(a => a.tripRelationship === 'CANCELED' && a.trip_id).map(a => a.trip_id));
+}
+
+// One trip's stop records in stop_sequence order with predictions filled in the way GTFS-RT
+// consumers are meant to: a stop without its own time gets the last known delay carried
+// forward from upstream, SKIPPED stops pass it on, and NO_DATA stops it until the next update.
+// scheduledAt(record) -> Date | null supplies timetable times the feed doesn't carry.
+// `calls`, the trip's timetable stop list ([{ stop_id, stop_sequence }], trip-index.js's trip-stops),
+// adds the stops the feed leaves out, so the carried delay reaches them too.
+// -> [{ ...record, scheduled, predicted, delaySeconds, source: 'update' | 'propagated' | 'none' }]
+function tripTimeline(records, scheduledAt = () => null, calls = []){
+  const seq = r => r.stop_sequence != null ? r.stop_sequence : Infinity;
+  // feed records without a stop_sequence take their stop's from the timetable
+  const listed = records.filter(r => r.stop_id).map(r => {
+    if(r.stop_sequence != null) return r;
+    const call = calls.find(c => c.stop_id === r.stop_id);
+    return call ? { ...r, stop_sequence: call.stop_sequence } : r;
+  });
+  const sequences = new Set(listed.map(r => r.stop_sequence));
+  const unlisted = calls.filter(c => !sequences.has(c.stop_sequence))
+    .map(c => ({ stop_id: c.stop_id, stop_sequence: c.stop_sequence, arrivalTimestamp: null, delaySeconds: null, stopRelationship: null }));
+  const sorted = [...listed, ...unlisted].sort((a,b) => seq(a) - seq(b));
+  let carried = null;
+  return sorted.map(r => {
+    let scheduled = scheduledAt(r);
+    // a stop event with both time and delay gives away its timetable time
+    if(!scheduled && r.arrivalTimestamp != null && r.delaySeconds != null) scheduled = new Date(r.arrivalTimestamp - r.delaySeconds * 1000);
+    let predicted = null, delaySeconds = null, source = 'none';
+    if(r.stopRelationship === 'NO_DATA'){
+      carried = null;
+    } else if(r.stopRelationship === 'SKIPPED'){
+      delaySeconds = carried;
+    } else if(r.arrivalTimestamp != null){
+      predicted = new Date(r.arrivalTimestamp);
+      delaySeconds = scheduled ? Math.round((r.arrivalTimestamp - scheduled.getTime()) / 1000) : r.delaySeconds;
+      source = 'update';
+    } else if(r.delaySeconds != null){
+      delaySeconds = r.delaySeconds;
+      predicted = scheduled ? new Date(scheduled.getTime() + delaySeconds * 1000) : null;
+      source = 'update';
+    } else if(carried != null){
+      delaySeconds = carried;
+      predicted = scheduled ? new Date(scheduled.getTime() + carried * 1000) : null;
+      source = 'propagated';
+    }
+    if(source === 'update' && delaySeconds != null) carried = delaySeconds;
+    return { ...r, scheduled, predicted, delaySeconds, source };
+  });
+}
+
+// ----------------- internal vehicle model -----------------
+// { vehicleId, label, trip_id, route_id, lat, lon, bearing (| null), speed m/s (| null), timestamp (ms epoch | null), stop_id, currentStatus }
+
+// FeedMessage (decoded or JSON) -> vehicle records (positionless entries are dropped)
+function feedToVehicles(feed){
+  const vehicles = [];
+  for(const e of (feed && feed.entity) || []){
+    const vp = e.vehicle;
+    if(!vp || rtField(e, 'isDeleted', 'is_deleted') || !vp.position) continue;
+    const trip = vp.trip || {};
+    const desc = vp.vehicle || {};
+    const lat = toNumberOrNull(vp.position.latitude), lon = toNumberOrNull(vp.position.longitude);
+    if(lat == null || lon == null) continue;
+    const ts = toNumberOrNull(vp.timestamp);
+    vehicles.push({
+      vehicleId: desc.id || e.id || null,
+      label: desc.label || null,
+      trip_id: rtField(trip, 'tripId', 'trip_id') || null,
+      route_id: rtField(trip, 'routeId', 'route_id') || null,
+      lat, lon,
+      bearing: toNumberOrNull(vp.position.bearing),
+      speed: toNumberOrNull(vp.position.speed),
+      timestamp: ts != null ? ts * 1000 : null,
+      stop_id: rtField(vp, 'stopId', 'stop_id') || null,
+      currentStatus: rtField(vp, 'currentStatus', 'current_status') || null
+    });
+  }
+  return vehicles;
+}
+
+// Worker { vehicles: [...] } records -> vehicle records
+function normalizeWorkerVehicle(rec){
+  const ts = toNumberOrNull(rec.timestamp);
+  return {
+    vehicleId: rec.vehicleId || rec.vehicle_id || null,
+    label: rec.label || null,
+    trip_id: rec.trip_id || null,
+    route_id: rec.route_id || null,
+    lat: toNumberOrNull(rec.lat != null ? rec.lat : rec.latitude),
+    lon: toNumberOrNull(rec.lon != null ? rec.lon : rec.longitude),
+    bearing: toNumberOrNull(rec.bearing),
+    speed: toNumberOrNull(rec.speed),
+    timestamp: ts == null ? null : (ts < 1e12 ? ts * 1000 : ts),
+    stop_id: rec.stop_id || null,
+    currentStatus: rec.currentStatus || rec.current_status || null
+  };
+}
+
+// trip_id -> most recent vehicle record on that trip
+function vehiclesByTrip(vehicles){
+  const map = new Map();
+  for(const v of vehicles){
+    if(!v.trip_id) continue;
+    const prev = map.get(v.trip_id);
+    if(!prev || (v.timestamp || 0) > (prev.timestamp || 0)) map.set(v.trip_id, v);
+  }
+  return map;
+}
+
+// ----------------- internal alert model -----------------
+// { id, header, description, url (each { lang: text } | null), cause, effect, severity,
+//   activePeriods: [{ start, end }] (ms epoch | null; none = always active),
+//   entities: [{ stop_id, route_id, route_short, trip_id }] } - every field a selector sets must match
+
+// effects that close a stop when the alert names the stop alone (a detour there means buses go round it)
+const STOP_CLOSED_EFFECTS = ['NO_SERVICE', 'DETOUR', 'STOP_MOVED'];
+
+// TranslatedString, plain string or { lang: text } -> { lang: text } | null; untagged text is English
+function rtTexts(v){
+  if(v === undefined || v === null || v === '') return null;
+  if(typeof v === 'string') return { en: v };
+  const translations = rtField(v, 'translation', 'translations');
+  if(!Array.isArray(translations)) return { ...v };
+  const out = {};
+  for(const tr of translations) if(tr && tr.text) out[(tr.language || 'en').toLowerCase().split('-')[0]] = tr.text;
+  return Object.keys(out).length ? out : null;
+}
+
+function rtTimeRange(p){
+  const start = toNumberOrNull(p && p.start), end = toNumberOrNull(p && p.end);
+  // seconds in the protobuf; the worker may already send ms
+  const ms = n => n == null || n === 0 ? null : (n < 1e12 ? n * 1000 : n);
+  return { start: ms(start), end: ms(end) };
+}
+
+function rtSelector(sel){
+  const trip = sel.trip || {};
+  return {
+    stop_id: rtField(sel, 'stopId', 'stop_id') || null,
+    route_id: rtField(sel, 'routeId', 'route_id') || null,
+    route_short: rtField(sel, 'routeShort', 'route_short') || null,
+    trip_id: rtField(trip, 'tripId', 'trip_id') || rtField(sel, 'tripId', 'trip_id') || null
+  };
+}
+
+// Alert message (protobuf, its JSON, or the worker's own record with `severity`, `header` etc.) -> alert record
+function normalizeAlert(a, id = null){
+  const periods = rtField(a, 'activePeriod', 'active_period') || a.activePeriods || [];
+  const entities = rtField(a, 'informedEntity', 'informed_entity') || a.entities || [];
+  const severity = rtEnum(rtField(a, 'severityLevel', 'severity_level') || a.severity, ALERT_SEVERITY, 'UNKNOWN_SEVERITY');
+  return {
+    id: id || a.id || null,
+    header: rtTexts(rtField(a, 'headerText', 'header_text') || a.header),
+    description: rtTexts(rtField(a, 'descriptionText', 'description_text') || a.description),
+    url: rtTexts(a.url),
+    cause: rtEnum(a.cause, ALERT_CAUSE, 'UNKNOWN_CAUSE'),
+    effect: rtEnum(a.effect, ALERT_EFFECT, 'UNKNOWN_EFFECT'),
+    severity: Object.values(ALERT_SEVERITY).includes(severity) ? severity : 'UNKNOWN_SEVERITY',
+    activePeriods: periods.map(rtTimeRange),
+    entities: entities.map(rtSelector).filter(sel => sel.stop_id || sel.route_id || sel.route_short || sel.trip_id)
+  };
+}
+
+// FeedMessage (decoded or JSON) -> alert records
+function feedToAlerts(feed){
+  const alerts = [];
+  for(const e of (feed && feed.entity) || []){
+    if(!e.alert || rtField(e, 'isDeleted', 'is_deleted')) continue;
+    alerts.push(normalizeAlert(e.alert, e.id));
+  }
+  return alerts;
+}
+
+function alertActive(alert, now = Date.now()){
+  if(!alert.activePeriods.length) return true;
+  return alert.activePeriods.some(p => (p.start == null || now >= p.start) && (p.end == null || now < p.end));
+}
+
+// the alert's text in `lang`, else English, else whatever it has
+function alertText(texts, lang){
+  if(!texts) return '';
+  return texts[lang] || texts.en || Object.values(texts)[0] || '';
+}
+
+// active alerts about the stop as a whole (selectors naming the stop and nothing else)
+function alertsForStop(alerts, stop_id, now = Date.now()){
+  return alerts.filter(a => alertActive(a, now) &&
+    a.entities.some(sel => sel.stop_id === stop_id && !sel.route_id && !sel.route_short && !sel.trip_id));
+}
+
+// active alerts about a departure's route or trip, at this stop or everywhere.
+// routeShortById maps route_ids to route_shorts for schedule rows that only have the latter.
+function alertsForDeparture(alerts, stop_id, { trip_id, route_id, route_short }, routeShortById = new Map(), now = Date.now()){
+  return alerts.filter(a => alertActive(a, now) && a.entities.some(sel => {
+    if(!sel.route_id && !sel.route_short && !sel.trip_id) return false; // a stop alert: on the card
+    if(sel.stop_id && sel.stop_id !== stop_id) return false;
+    if(sel.trip_id && sel.trip_id !== trip_id) return false;
+    if(sel.route_id && sel.route_id !== route_id && (!route_short || routeShortById.get(sel.route_id) !== route_short)) return false;
+    if(sel.route_short && sel.route_short !== route_short) return false;
+    return true;
+  }));
+}
+
+function stopClosedBy(alerts, stop_id, now = Date.now()){
+  return alertsForStop(alerts, stop_id, now).find(a => STOP_CLOSED_EFFECTS.includes(a.effect)) || null;
+}
+
+// Any supported realtime payload -> { arrivals, vehicles, alerts }
+function toRealtimeModel(data){
+  if(data instanceof ArrayBuffer || data instanceof Uint8Array) data = decodeFeedMessage(data);
+  if(data && Array.isArray(data.entity)) return { arrivals: feedToArrivals(data), vehicles: feedToVehicles(data), alerts: feedToAlerts(data) };
+  if(data && Array.isArray(data.arrivals)){
+    const vehicles = Array.isArray(data.vehicles) ? data.vehicles.map(normalizeWorkerVehicle).filter(v => v.lat != null && v.lon != null) : [];
+    const alerts = Array.isArray(data.alerts) ? data.alerts.map(a => normalizeAlert(a)) : [];
+    return { arrivals: data.arrivals.map(normalizeWorkerArrival), vehicles, alerts };
+  }
+  if(Array.isArray(data)) return { arrivals: data.map(normalizeWorkerArrival), vehicles: [], alerts: [] };
+  throw new Error('Unrecognised GTFS-RT payload');
+}
+
+// Fetch a realtime source (JSON from the worker, or a raw protobuf feed / .pb file): { arrivals, vehicles, alerts }
+async function loadRealtimeFeed(url, init){
+  const resp = await fetch(url, init);
+  if(!resp.ok) throw new Error(`GTFS-RT fetch failed: ${resp.status}`);
+  const type = resp.headers.get('content-type') || '';
+  if(type.includes('json')) return toRealtimeModel(await resp.json());
+  const buf = await resp.arrayBuffer();
+  // some hosts serve JSON as text/plain; a FeedMessage never starts with '{' or '['
+  const first = new Uint8Array(buf, 0, Math.min(1, buf.byteLength))[0];
+  if(first === 0x7b || first === 0x5b) return toRealtimeModel(JSON.parse(utf8Decoder.decode(buf)));
+  return toRealtimeModel(buf);
+}
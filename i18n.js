@@ -0,0 +1,464 @@
+// i18n.js
+// English and Irish UI strings plus locale-aware formatting (stop names, compass points,
+// 24-hour times, weekday/month names). The chosen language is remembered in localStorage;
+// anything missing from the Irish catalogue falls back to English.
+
+const LANG_KEY = 'dblive.lang';
+const DEFAULT_LANG = 'en';
+const LANGUAGES = {
+  en: { name: 'English', locale: 'en-IE' },
+  ga: { name: 'Gaeilge', locale: 'ga-IE' }
+};
+
+// compass codes as used in the data (stop Bearing, degToCompass), in clockwise order
+const COMPASS_CODES = ['N','NE','E','SE','S','SW','W','NW'];
+
+const STRINGS = {
+  en: {
+    'lang.switch': 'Gaeilge',
+    'lang.switchTitle': 'Taispeáin i nGaeilge',
+
+    'title.nearest': 'Nearest Bus Stops',
+    'title.live': 'Live Bus Arrivals (GTFS‑RT)',
+    'title.nearby': 'Nearby Bus Stops',
+
+    'status.finding': 'Finding nearest stops…',
+    'status.loadingStops': 'Loading stops…',
+    'status.gettingLocation': 'Getting location…',
+    'status.location': 'Location: {lat}, {lon} (±{accuracy})',
+    'status.locationSet': 'Location set: {lat}, {lon}',
+    'status.noStopsMatch': 'No stops found matching the chosen radius and accessibility filters.',
+    'status.fetchingRt': 'Fetching GTFS-RT…',
+    'status.showingNearest': 'Showing nearest stops (scheduled + real-time). Last refresh: {time}',
+    'status.rtUnavailableLoading': 'Real-time unavailable ({error}) — loading timetable…',
+    'status.offline': 'Real-time unavailable — scheduled only, offline. Last real-time refresh: {last}. Retrying in {secs} s',
+    'status.never': 'never',
+    'status.error': 'Error: {message}',
+    'status.showingStop': 'Showing {name} (#{number})',
+
+    'location.unavailable': 'Cannot determine location.',
+    'location.outside': 'That location is too far from any stop in this timetable.',
+    'location.unsupported': 'This browser has no geolocation.',
+    'location.failed': 'Location unavailable ({message}).',
+    'location.stopNotFound': 'No stop {stop} in the stops data.',
+    'location.enter': 'Enter a stop number or coordinates:',
+    'location.placeholder': 'e.g. 138951 or 53.3498, -6.2603',
+    'location.use': 'Show stops',
+    'location.useDevice': 'Use my location',
+    'location.invalid': 'Not a stop number or a "lat, lon" pair.',
+    'location.set': 'Set location…',
+    'common.unknown': 'Unknown',
+    'common.cancel': 'Cancel',
+
+    'arrivals.none': 'No arrivals found.',
+    'arrival.at': '{route} → {headsign} at {time}',
+    'arrival.group': '{route} → {headsign}: {times}',
+    'routes.filter': 'Routes:',
+    'routes.all': 'All routes',
+    'routes.noneHere': 'No departures on the selected routes',
+    'arrival.cancelled': '(cancelled)',
+    'arrival.added': '(added trip)',
+    'arrival.skipped': '{route} → {headsign} — not stopping here',
+
+    'service.unknown': 'Unknown service',
+    'service.today': 'runs today',
+    'service.notRunning': 'not running',
+    'service.tomorrow': 'next runs tomorrow',
+    'service.nextOn': 'next runs on {date}',
+
+    'kind.live': 'live',
+    'kind.scheduled': 'scheduled',
+    'kind.rt-only': 'RT-only',
+    'kind.added': 'added',
+    'kind.cancelled': 'cancelled',
+    'kind.skipped': 'skipped',
+
+    'dep.scheduled': 'Scheduled: {time}',
+    'dep.realtime': 'Real-time: {time}',
+    'dep.delay': 'Delay: {secs}s',
+    'dep.cancelled': 'cancelled',
+    'dep.skipped': 'not stopping here',
+
+    'countdown.due': 'Due',
+    'countdown.in': 'due in {mins} min',
+
+    'age.underMinute': 'under a minute',
+    'age.minutes': '{mins} min',
+    'age.seconds': '{secs} s',
+
+    'stale.old': '⚠ Data is {age} old — times may be out of date',
+    'stale.none': '⚠ No real-time data received yet',
+
+    'note.loading': 'Loading departures…',
+    'note.offline': 'Scheduled only, offline',
+    'note.noScheduleOffline': 'No schedule available offline',
+    'note.nothing': 'No schedule or real-time trips available',
+    'note.noRoutes': 'No departures on routes {routes}',
+    'note.noMore': 'No more departures today',
+    'note.rtOnly': 'Timetable unavailable — real-time trips only',
+
+    'card.favAdd': 'Add to favourites',
+    'card.favRemove': 'Remove from favourites',
+    'card.map': '[Map]',
+    'card.edit': 'Edit',
+    'card.routes': 'Routes: {routes}',
+    'card.copyLink': 'Copy link',
+    'card.copied': 'Link copied',
+
+    'vehicle.away': 'bus is {distance} away',
+    'vehicle.age': 'position {age} old',
+    'vehicle.bus': 'bus {label}',
+
+    'trip.close': 'Close',
+    'trip.noRt': 'No real-time stop list for this trip — showing this stop only',
+    'trip.partial': 'Stops listed in the real-time feed; italic times are estimated from the last known delay',
+    'trip.allStops': 'Every stop on the trip; italic times are estimated from the last known delay',
+    'trip.timetableOnly': 'No real-time data for this trip — timetable times',
+    'trip.estimated': 'Estimated: {time}',
+    'trip.noData': 'no real-time data',
+    'trip.onTime': 'on time',
+    'trip.late': '{mins} min late',
+    'trip.early': '{mins} min early',
+
+    'fav.title': 'Favourites',
+    'fav.export': 'Export',
+    'fav.import': 'Import',
+    'fav.labelField': 'Label for {name}:',
+    'fav.routesField': 'Only show these routes (comma separated, blank for all):',
+    'fav.save': 'Save',
+    'fav.importFailed': 'Could not import favourites: {message}',
+
+    'search.placeholder': 'Search stops by name, Irish name or stop number',
+    'search.label': 'Search stops',
+    'search.nearestFirst': 'nearest first',
+    'search.none': 'No matching stops',
+
+    'options.stops': 'Stops',
+    'options.within': 'or within',
+    'options.wheelchair': 'wheelchair accessible',
+    'options.stepfree': 'step-free',
+    'options.surveyedOnly': 'Surveyed stops only',
+    'options.update': 'Update',
+
+    'map.summary': 'Map',
+    'map.aria': 'Map of nearby stops',
+    'map.north': 'N↑',
+
+    'journey.summary': 'Plan a journey',
+    'journey.from': 'From',
+    'journey.to': 'To',
+    'journey.nearest': 'Nearest stops',
+    'journey.destPlaceholder': 'Destination stop name or number',
+    'journey.allowChange': 'one change, walking up to',
+    'journey.find': 'Find buses',
+    'journey.pickDest': 'Choose a destination stop from the list first.',
+    'journey.noOrigin': 'No origin stop yet: allow location or add a favourite.',
+    'journey.searching': 'Searching…',
+    'journey.none': 'No buses found to {to} in the next {hours} hours.',
+    'journey.found': 'Journeys to {to}:',
+    'journey.noChanges': 'Changes can only be found with the real-time feed\'s stop lists, unavailable right now.',
+    'journey.board': '{route} → {headsign} from {stop} at {time}',
+    'journey.arrive': 'arrive {stop} at {time}',
+    'journey.walk': 'get off at {from} at {time}, walk {metres} m to {to}',
+    'journey.sameStop': 'get off at {stop} at {time} and change',
+    'journey.cancelled': 'cancelled',
+
+    'alert.watch': 'Notify me before this bus comes',
+    'alert.unwatch': 'Stop notifying me about this bus',
+    'alert.minutesLabel': 'Notify me when {name} is',
+    'alert.minutesOption': '{mins} min away',
+    'alert.watchSubmit': 'Notify me',
+    'alert.unsupported': 'This browser cannot show notifications.',
+    'alert.denied': 'Notifications are blocked for this site.',
+    'alert.due': '{name}: {countdown}',
+    'alert.delayed': '{name} is running {mins} min late',
+    'alert.cancelled': '{name} has been cancelled',
+    'alert.body': '{stop}, expected {time}',
+
+    'alerts.closed': 'Stop closed',
+    'alerts.until': 'until {time}, {date}',
+    'alerts.more': 'More information',
+    'severity.UNKNOWN_SEVERITY': 'Notice',
+    'severity.INFO': 'Info',
+    'severity.WARNING': 'Warning',
+    'severity.SEVERE': 'Severe',
+
+    'facility.WheelchairAccessibility': 'Wheelchair accessible',
+    'facility.StepAtStop': 'Step at stop',
+    'facility.CastleKerbing': 'Raised kerb',
+    'facility.FootpathToStop': 'Footpath to stop',
+    'facility.StandingArea': 'Standing area',
+    'facility.Bench': 'Bench',
+    'facility.BikeStand': 'Bike stand',
+    'facility.Bin': 'Bin',
+    'facility.unverified': 'Facilities unverified (stop not surveyed)',
+    'facility.none': 'No facilities recorded',
+
+    'compass': COMPASS_CODES,
+    'weekdays': ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'],
+    'months': ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec']
+  },
+
+  ga: {
+    'lang.switch': 'English',
+    'lang.switchTitle': 'Show in English',
+
+    'title.nearest': 'Na Stadanna Bus is Gaire',
+    'title.live': 'Busanna ag Teacht Beo (GTFS‑RT)',
+    'title.nearby': 'Stadanna Bus in Aice Láimhe',
+
+    'status.finding': 'Na stadanna is gaire á n-aimsiú…',
+    'status.loadingStops': 'Stadanna á lódáil…',
+    'status.gettingLocation': 'Do shuíomh á fháil…',
+    'status.location': 'Suíomh: {lat}, {lon} (±{accuracy})',
+    'status.locationSet': 'Suíomh socraithe: {lat}, {lon}',
+    'status.noStopsMatch': 'Níor aimsíodh aon stad a fhreagraíonn don gha agus do na scagairí inrochtaineachta.',
+    'status.fetchingRt': 'GTFS-RT á fháil…',
+    'status.showingNearest': 'Na stadanna is gaire (sceidealta + fíor-ama). Nuashonrú deireanach: {time}',
+    'status.rtUnavailableLoading': 'Níl fíor-am ar fáil ({error}) — an clár ama á lódáil…',
+    'status.offline': 'Níl fíor-am ar fáil — amanna sceidealta amháin, as líne. Nuashonrú fíor-ama deireanach: {last}. Triail eile i gceann {secs} s',
+    'status.never': 'riamh',
+    'status.error': 'Earráid: {message}',
+    'status.showingStop': '{name} (#{number}) á thaispeáint',
+
+    'location.unavailable': 'Ní féidir do shuíomh a aimsiú.',
+    'location.outside': 'Tá an suíomh sin rófhada ó aon stad sa tráthchlár seo.',
+    'location.unsupported': 'Níl geoshuíomh sa bhrabhsálaí seo.',
+    'location.failed': 'Níl do shuíomh ar fáil ({message}).',
+    'location.stopNotFound': 'Níl stad {stop} sna sonraí stadanna.',
+    'location.enter': 'Cuir isteach uimhir stad nó comhordanáidí:',
+    'location.placeholder': 'm.sh. 138951 nó 53.3498, -6.2603',
+    'location.use': 'Taispeáin stadanna',
+    'location.useDevice': 'Úsáid mo shuíomh',
+    'location.invalid': 'Ní uimhir stad ná péire "domhanleithead, domhanfhad" é sin.',
+    'location.set': 'Socraigh suíomh…',
+    'common.unknown': 'Anaithnid',
+    'common.cancel': 'Cealaigh',
+
+    'arrivals.none': 'Níl aon bhus le teacht.',
+    'arrival.at': '{route} → {headsign} ag {time}',
+    'arrival.group': '{route} → {headsign}: {times}',
+    'routes.filter': 'Bealaí:',
+    'routes.all': 'Gach bealach',
+    'routes.noneHere': 'Níl aon imeacht ar na bealaí roghnaithe',
+    'arrival.cancelled': '(curtha ar ceal)',
+    'arrival.added': '(turas breise)',
+    'arrival.skipped': '{route} → {headsign} — ní stopfaidh sé anseo',
+
+    'service.unknown': 'Seirbhís anaithnid',
+    'service.today': 'ag rith inniu',
+    'service.notRunning': 'níl sé ag rith',
+    'service.tomorrow': 'ag rith arís amárach',
+    'service.nextOn': 'ag rith arís {date}',
+
+    'kind.live': 'beo',
+    'kind.scheduled': 'sceidealta',
+    'kind.rt-only': 'fíor-am amháin',
+    'kind.added': 'breise',
+    'kind.cancelled': 'ar ceal',
+    'kind.skipped': 'scipeáilte',
+
+    'dep.scheduled': 'Sceidealta: {time}',
+    'dep.realtime': 'Fíor-am: {time}',
+    'dep.delay': 'Moill: {secs}s',
+    'dep.cancelled': 'curtha ar ceal',
+    'dep.skipped': 'ní stopfaidh sé anseo',
+
+    'countdown.due': 'Anois',
+    'countdown.in': 'i gceann {mins} nóim',
+
+    'age.underMinute': 'níos lú ná nóiméad',
+    'age.minutes': '{mins} nóim',
+    'age.seconds': '{secs} soic',
+
+    'stale.old': '⚠ Tá na sonraí {age} d’aois — d’fhéadfadh na hamanna a bheith as dáta',
+    'stale.none': '⚠ Níor tháinig aon sonraí fíor-ama fós',
+
+    'note.loading': 'Imeachtaí á lódáil…',
+    'note.offline': 'Sceidealta amháin, as líne',
+    'note.noScheduleOffline': 'Níl clár ama ar fáil as líne',
+    'note.nothing': 'Níl clár ama ná turais fíor-ama ar fáil',
+    'note.noRoutes': 'Níl aon imeacht ar bhealaí {routes}',
+    'note.noMore': 'Níl a thuilleadh imeachtaí inniu',
+    'note.rtOnly': 'Níl an clár ama ar fáil — turais fíor-ama amháin',
+
+    'card.favAdd': 'Cuir leis na ceanáin',
+    'card.favRemove': 'Bain de na ceanáin',
+    'card.map': '[Léarscáil]',
+    'card.edit': 'Cuir in eagar',
+    'card.routes': 'Bealaí: {routes}',
+    'card.copyLink': 'Cóipeáil nasc',
+    'card.copied': 'Nasc cóipeáilte',
+
+    'vehicle.away': 'tá an bus {distance} uait',
+    'vehicle.age': 'suíomh {age} d’aois',
+    'vehicle.bus': 'bus {label}',
+
+    'trip.close': 'Dún',
+    'trip.noRt': 'Níl liosta stadanna fíor-ama don turas seo — an stad seo amháin á thaispeáint',
+    'trip.partial': 'Stadanna atá sa bheathú fíor-ama; is meastacháin ón moill dheireanach iad na hamanna iodálacha',
+    'trip.allStops': 'Gach stad ar an turas; is meastacháin ón moill dheireanach iad na hamanna iodálacha',
+    'trip.timetableOnly': 'Níl sonraí fíor-ama don turas seo — amanna an amchláir',
+    'trip.estimated': 'Measta: {time}',
+    'trip.noData': 'gan sonraí fíor-ama',
+    'trip.onTime': 'in am',
+    'trip.late': '{mins} nóim mall',
+    'trip.early': '{mins} nóim luath',
+
+    'fav.title': 'Ceanáin',
+    'fav.export': 'Easpórtáil',
+    'fav.import': 'Iompórtáil',
+    'fav.labelField': 'Lipéad do {name}:',
+    'fav.routesField': 'Taispeáin na bealaí seo amháin (scartha le camóga, bán do gach ceann):',
+    'fav.save': 'Sábháil',
+    'fav.importFailed': 'Níorbh fhéidir na ceanáin a iompórtáil: {message}',
+
+    'search.placeholder': 'Cuardaigh stadanna de réir ainm, ainm Gaeilge nó uimhir stad',
+    'search.label': 'Cuardaigh stadanna',
+    'search.nearestFirst': 'is gaire ar dtús',
+    'search.none': 'Níor aimsíodh aon stad',
+
+    'options.stops': 'Stadanna',
+    'options.within': 'nó laistigh de',
+    'options.wheelchair': 'inrochtana do chathaoireacha rothaí',
+    'options.stepfree': 'gan chéim',
+    'options.surveyedOnly': 'Stadanna a ndearnadh suirbhé orthu amháin',
+    'options.update': 'Nuashonraigh',
+
+    'map.summary': 'Léarscáil',
+    'map.aria': 'Léarscáil de stadanna in aice láimhe',
+    'map.north': 'T↑',
+
+    'journey.summary': 'Pleanáil turas',
+    'journey.from': 'Ó',
+    'journey.to': 'Go',
+    'journey.nearest': 'Na stadanna is gaire',
+    'journey.destPlaceholder': 'Ainm nó uimhir an stad ceann scríbe',
+    'journey.allowChange': 'athrú amháin, ag siúl suas le',
+    'journey.find': 'Aimsigh busanna',
+    'journey.pickDest': 'Roghnaigh stad ceann scríbe ón liosta ar dtús.',
+    'journey.noOrigin': 'Níl stad tosaigh ann fós: ceadaigh suíomh nó cuir ceanán leis.',
+    'journey.searching': 'Ag cuardach…',
+    'journey.none': 'Níor aimsíodh busanna go {to} sna {hours} uair an chloig seo chugainn.',
+    'journey.found': 'Turais go {to}:',
+    'journey.noChanges': 'Ní féidir athruithe a aimsiú ach le liostaí stadanna an bheathaithe fíor-ama, nach bhfuil ar fáil anois.',
+    'journey.board': '{route} → {headsign} ó {stop} ag {time}',
+    'journey.arrive': 'sroich {stop} ag {time}',
+    'journey.walk': 'tuirling ag {from} ag {time}, siúil {metres} m go {to}',
+    'journey.sameStop': 'tuirling ag {stop} ag {time} agus athraigh',
+    'journey.cancelled': 'curtha ar ceal',
+
+    'alert.watch': 'Cuir in iúl dom roimh theacht an bhus seo',
+    'alert.unwatch': 'Ná cuir in iúl dom faoin mbus seo a thuilleadh',
+    'alert.minutesLabel': 'Cuir in iúl dom nuair a bheidh {name}',
+    'alert.minutesOption': '{mins} nóim ar shiúl',
+    'alert.watchSubmit': 'Cuir in iúl dom',
+    'alert.unsupported': 'Ní féidir leis an mbrabhsálaí seo fógraí a thaispeáint.',
+    'alert.denied': 'Tá fógraí blocáilte don suíomh seo.',
+    'alert.due': '{name}: {countdown}',
+    'alert.delayed': 'Tá {name} {mins} nóim mall',
+    'alert.cancelled': 'Cuireadh {name} ar ceal',
+    'alert.body': '{stop}, ag súil leis ag {time}',
+
+    'alerts.closed': 'Stad dúnta',
+    'alerts.until': 'go dtí {time}, {date}',
+    'alerts.more': 'Tuilleadh eolais',
+    'severity.UNKNOWN_SEVERITY': 'Fógra',
+    'severity.INFO': 'Eolas',
+    'severity.WARNING': 'Rabhadh',
+    'severity.SEVERE': 'Tromchúiseach',
+
+    'facility.WheelchairAccessibility': 'Inrochtana do chathaoireacha rothaí',
+    'facility.StepAtStop': 'Céim ag an stad',
+    'facility.CastleKerbing': 'Colbha ardaithe',
+    'facility.FootpathToStop': 'Cosán chuig an stad',
+    'facility.StandingArea': 'Limistéar seasaimh',
+    'facility.Bench': 'Binse',
+    'facility.BikeStand': 'Seastán rothar',
+    'facility.Bin': 'Bosca bruscair',
+    'facility.unverified': 'Áiseanna gan fíorú (ní dhearnadh suirbhé ar an stad)',
+    'facility.none': 'Níl aon áis taifeadta',
+
+    // Tuaisceart, Oirthuaisceart, Oirthear, Oirdheisceart, Deisceart, Iardheisceart, Iarthar, Iarthuaisceart
+    'compass': ['T','OT','O','OD','D','ID','I','IT'],
+    'weekdays': ['Dé Domhnaigh','Dé Luain','Dé Máirt','Dé Céadaoin','Déardaoin','Dé hAoine','Dé Sathairn'],
+    'months': ['Eanáir','Feabhra','Márta','Aibreán','Bealtaine','Meitheamh','Iúil','Lúnasa','Meán Fómhair','Deireadh Fómhair','Samhain','Nollaig']
+  }
+};
+
+let currentLang = null;
+
+function getLanguage(){
+  if(currentLang) return currentLang;
+  let stored = null;
+  try { stored = localStorage.getItem(LANG_KEY); } catch (err) { /* storage blocked: use the default */ }
+  currentLang = LANGUAGES[stored] ? stored : DEFAULT_LANG;
+  return currentLang;
+}
+
+function setLanguage(lang){
+  if(!LANGUAGES[lang]) throw new Error(`Unsupported language: ${lang}`);
+  currentLang = lang;
+  try { localStorage.setItem(LANG_KEY, lang); } catch (err) { console.warn('Could not remember language', err); }
+}
+
+// raw catalogue entry for the current language, English if missing
+function catalogueEntry(key){
+  const own = STRINGS[getLanguage()][key];
+  return own !== undefined ? own : STRINGS[DEFAULT_LANG][key];
+}
+
+// Translate `key`, filling {name} placeholders from vars; unknown keys come back as the key
+function t(key, vars = {}){
+  const str = catalogueEntry(key);
+  if(typeof str !== 'string'){
+    console.warn('Missing string', key);
+    return key;
+  }
+  return str.replace(/\{(\w+)\}/g, (m, name) => vars[name] !== undefined ? String(vars[name]) : m);
+}
+
+// Stop name in the chosen language (English when the stop has no Irish name)
+function stopName(props){
+  const name = getLanguage() === 'ga' ? props.SCN_Gaeilge || props.SCN_English : props.SCN_English;
+  return name || t('common.unknown');
+}
+
+// 'NE' -> 'OT' in Irish; codes outside the eight points (e.g. stop Bearing 'U') pass through
+function compassLabel(code){
+  const i = COMPASS_CODES.indexOf(code);
+  return i < 0 ? code : catalogueEntry('compass')[i];
+}
+
+// 24-hour "HH:MM" (or "HH:MM:SS") in local time
+function formatTime(d, withSeconds = false){
+  const pad = n => String(n).padStart(2, '0');
+  const hm = `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  return withSeconds ? `${hm}:${pad(d.getSeconds())}` : hm;
+}
+
+// "Thu 25 Dec" / "Déardaoin 25 Nollaig"
+function formatDate(d){
+  return `${catalogueEntry('weekdays')[d.getDay()]} ${d.getDate()} ${catalogueEntry('months')[d.getMonth()]}`;
+}
+
+// Fill static markup: data-i18n (text), data-i18n-placeholder, data-i18n-title, data-i18n-aria-label
+function applyTranslations(root = document){
+  document.documentElement.lang = getLanguage();
+  for(const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for(const el of root.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+  for(const el of root.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+  for(const el of root.querySelectorAll('[data-i18n-aria-label]')) el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+}
+
+// Wire the #lang-toggle button: switches between English and Irish, then calls onChange to re-render
+function initLanguageToggle(onChange){
+  applyTranslations();
+  const btn = document.getElementById('lang-toggle');
+  if(!btn) return;
+  btn.addEventListener('click', () => {
+    setLanguage(getLanguage() === 'ga' ? 'en' : 'ga');
+    applyTranslations();
+    if(onChange) onChange(getLanguage());
+  });
+}
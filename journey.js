@@ -0,0 +1,79 @@
+// journey.js
+// Origin -> destination planner over the per-stop schedule JSON. Direct trips are those calling
+// at both stops, origin first, on a service running that day (gtfs-calendar.js). One-change
+// journeys need to know where a trip goes between the two stops, which the per-stop files
+// don't say, so they are built from the stops the realtime feed lists for each trip.
+
+const JOURNEY_LIMIT = 8;               // results shown
+const JOURNEY_WINDOW_MS = 3 * 3600000; // how far ahead departures are searched
+const WALK_SPEED_MPS = 1.2;
+const MIN_CHANGE_MS = 60000;           // on top of the walk
+const DEFAULT_WALK_RADIUS_M = 400;
+
+// Direct trips from origin to destination departing after `now`, soonest first:
+// [{ trip_id, route, headsign, serviceDate, departs: Date, arrives: Date }]
+function directJourneys(originRows, destRows, tripMap, calendar, now = new Date(), { limit = JOURNEY_LIMIT, windowMs = JOURNEY_WINDOW_MS } = {}){
+  // trip_id -> destination times (a loop service can call twice)
+  const destTimes = new Map();
+  for(const row of destRows || []){
+    const secs = gtfsTimeToSeconds(row.arrival_time);
+    if(secs == null) continue;
+    if(!destTimes.has(row.trip_id)) destTimes.set(row.trip_id, []);
+    destTimes.get(row.trip_id).push(secs);
+  }
+  const shared = (originRows || []).filter(r => destTimes.has(r.trip_id));
+  const departures = scheduledDepartures(shared, tripMap, calendar, now, { limit: Infinity, graceMs: 0 });
+
+  const out = [];
+  for(const dep of departures){
+    if(dep.scheduled.getTime() > now.getTime() + windowMs) break;
+    const fromSecs = gtfsTimeToSeconds(dep.arrival_time);
+    // first call at the destination after leaving the origin: that's the right direction
+    const toSecs = destTimes.get(dep.trip_id).filter(s => s > fromSecs).sort((a,b) => a - b)[0];
+    if(toSecs === undefined) continue;
+    out.push({
+      trip_id: dep.trip_id,
+      route: dep.route_short || null,
+      headsign: dep.trip_headsign || null,
+      serviceDate: dep.serviceDate,
+      departs: dep.scheduled,
+      arrives: new Date(dep.scheduled.getTime() + (toSecs - fromSecs) * 1000)
+    });
+  }
+  return out.slice(0, limit);
+}
+
+// One-change journeys: ride a first trip to A, walk to a stop B within walkRadiusM, ride a
+// second trip on to the destination.
+//   firstLegs:  [{ trip_id, route, headsign, departs, calls: [{ stop_id, time }] }], calls after the origin
+//   secondLegs: [{ trip_id, route, headsign, arrives, calls: [{ stop_id, time }] }], calls before the destination
+//   distance(a, b) -> metres between two stop_ids (null when unknown)
+// -> [{ first, second, change: { from, to, walkM, arrive, depart }, departs, arrives }], earliest arrival first
+function oneChangeJourneys(firstLegs, secondLegs, distance, { walkRadiusM = DEFAULT_WALK_RADIUS_M, limit = JOURNEY_LIMIT } = {}){
+  const best = new Map(); // first trip -> its earliest-arriving connection
+  for(const first of firstLegs){
+    for(const a of first.calls){
+      for(const second of secondLegs){
+        if(second.trip_id === first.trip_id) continue; // that's a direct trip
+        for(const b of second.calls){
+          const walkM = a.stop_id === b.stop_id ? 0 : distance(a.stop_id, b.stop_id);
+          if(walkM == null || walkM > walkRadiusM) continue;
+          const ready = a.time.getTime() + walkM / WALK_SPEED_MPS * 1000 + MIN_CHANGE_MS;
+          if(b.time.getTime() < ready) continue;
+          const prev = best.get(first.trip_id);
+          if(!prev || second.arrives < prev.arrives || (+second.arrives === +prev.arrives && b.time > prev.change.depart)){
+            best.set(first.trip_id, {
+              first, second,
+              change: { from: a.stop_id, to: b.stop_id, walkM: Math.round(walkM), arrive: a.time, depart: b.time },
+              departs: first.departs,
+              arrives: second.arrives
+            });
+          }
+        }
+      }
+    }
+  }
+  return [...best.values()]
+    .sort((x, y) => x.arrives - y.arrives || y.departs - x.departs)
+    .slice(0, limit);
+}
@@ -0,0 +1,191 @@
+// location-source.js
+// Where a board starts: a deep link (?stop=<number|AtcoCode> or ?lat=&lon=), the device's position,
+// or a place typed into the manual picker, remembered in localStorage for when geolocation is
+// refused or missing (desktops). Also the per-card "copy link" button. Shared by all three pages;
+// needs i18n.js and stop-search.js (stopNumberOf).
+
+const MANUAL_LOCATION_KEY = 'dblive.location';
+const GEOLOCATION_TIMEOUT_MS = 15000;
+
+// { latitude, longitude } shaped like GeolocationCoordinates, for places that didn't come from the device
+function manualCoords(latitude, longitude){
+  return { latitude, longitude, accuracy: null, heading: null };
+}
+
+function validLatLon(lat, lon){
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+}
+
+// ?stop= -> { stop: ref }, ?lat=&lon= -> { coords }, else null
+function readLocationParams(search = location.search){
+  const params = new URLSearchParams(search);
+  const stop = (params.get('stop') || '').trim();
+  if(stop) return { stop };
+  const lat = parseFloat(params.get('lat')), lon = parseFloat(params.get('lon'));
+  return validLatLon(lat, lon) ? { coords: manualCoords(lat, lon) } : null;
+}
+
+// put a picked place in the URL (null: back to the device's position) so reloads and shared links keep it
+function setLocationParams(coords){
+  const params = new URLSearchParams(location.search);
+  for(const key of ['stop', 'lat', 'lon']) params.delete(key);
+  if(coords){
+    params.set('lat', coords.latitude.toFixed(6));
+    params.set('lon', coords.longitude.toFixed(6));
+  }
+  const query = params.toString();
+  history.replaceState(null, '', query ? `${location.pathname}?${query}` : location.pathname);
+}
+
+// AtcoCode (any case) or public stop number -> feature | null
+function findStopByRef(features, ref){
+  const want = String(ref).trim();
+  const number = /^\d+$/.test(want) ? String(parseInt(want, 10)) : null;
+  let byNumber = null;
+  for(const f of features){
+    const atco = f.properties.AtcoCode || '';
+    if(atco.toUpperCase() === want.toUpperCase()) return f;
+    if(number && !byNumber && stopNumberOf(f.properties) === number) byNumber = f;
+  }
+  return byNumber;
+}
+
+function loadManualLocation(){
+  try {
+    const saved = JSON.parse(localStorage.getItem(MANUAL_LOCATION_KEY) || 'null');
+    return saved && validLatLon(saved.latitude, saved.longitude) ? manualCoords(saved.latitude, saved.longitude) : null;
+  } catch (err) {
+    console.warn('Ignoring unreadable saved location', err);
+    return null;
+  }
+}
+
+function saveManualLocation(coords){
+  localStorage.setItem(MANUAL_LOCATION_KEY, JSON.stringify({ latitude: coords.latitude, longitude: coords.longitude }));
+}
+
+// the device's position; rejects with a readable Error (no API, refused, timed out)
+function getDevicePosition(){
+  return new Promise((resolve, reject) => {
+    if(!('geolocation' in navigator)) return reject(new Error(t('location.unsupported')));
+    navigator.geolocation.getCurrentPosition(p => resolve(p.coords),
+      err => reject(new Error(err.message || t('location.unavailable'))),
+      { timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 60000 });
+  });
+}
+
+// Starting point: { stop: feature } for ?stop=, else { coords, source: 'link' | 'device' | 'manual', error }.
+// When the device can't say, the saved manual location stands in (coords null if there is none)
+// and `error` says why. findStop(ref) -> feature | null.
+async function resolveStartLocation(findStop){
+  const link = readLocationParams();
+  if(link && link.stop){
+    const feature = findStop(link.stop);
+    if(!feature) throw new Error(t('location.stopNotFound', { stop: link.stop }));
+    return { stop: feature };
+  }
+  if(link) return { coords: link.coords, source: 'link', error: null };
+  try {
+    return { coords: await getDevicePosition(), source: 'device', error: null };
+  } catch (err) {
+    console.warn('Cannot get location:', err);
+    return { coords: loadManualLocation(), source: 'manual', error: err };
+  }
+}
+
+// "53.35, -6.26" or a stop number / AtcoCode -> coords | null
+function parseLocationInput(text, findStop){
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text);
+  if(m && validLatLon(parseFloat(m[1]), parseFloat(m[2]))) return manualCoords(parseFloat(m[1]), parseFloat(m[2]));
+  const feature = text.trim() ? findStop(text) : null;
+  if(!feature) return null;
+  const lat = parseFloat(feature.properties.Latitude), lon = parseFloat(feature.properties.Longitude);
+  return validLatLon(lat, lon) ? manualCoords(lat, lon) : null;
+}
+
+// Fill `container` with the manual location form. A picked place is saved and put in the URL, and
+// onChange() re-renders the page; "use my location" clears it from the URL again.
+function showLocationPicker(container, { message = '', findStop, onChange }){
+  container.hidden = false;
+  container.innerHTML = '';
+  const form = document.createElement('form');
+  form.className = 'location-picker';
+  const label = document.createElement('label');
+  const text = document.createElement('span');
+  text.textContent = [message, t('location.enter')].filter(Boolean).join(' ');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = t('location.placeholder');
+  const saved = loadManualLocation();
+  if(saved) input.value = `${saved.latitude.toFixed(5)}, ${saved.longitude.toFixed(5)}`;
+  label.appendChild(text);
+  label.appendChild(input);
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = t('location.use');
+  const device = document.createElement('button');
+  device.type = 'button';
+  device.textContent = t('location.useDevice');
+  const error = document.createElement('span');
+  error.className = 'location-error';
+  form.appendChild(label);
+  form.appendChild(submit);
+  form.appendChild(device);
+  form.appendChild(error);
+  container.appendChild(form);
+
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    const coords = parseLocationInput(input.value, findStop);
+    if(!coords){ error.textContent = t('location.invalid'); return; }
+    saveManualLocation(coords);
+    setLocationParams(coords);
+    container.hidden = true;
+    onChange();
+  });
+  device.addEventListener('click', () => {
+    setLocationParams(null);
+    container.hidden = true;
+    onChange();
+  });
+}
+
+// shareable URL of this page opened on one stop; the other options (?data=, ?rt=, ?k= ...) are kept
+function stopLink(feature){
+  const params = new URLSearchParams(location.search);
+  for(const key of ['stop', 'lat', 'lon']) params.delete(key);
+  params.set('stop', feature.properties.AtcoCode);
+  return `${location.origin}${location.pathname}?${params}`;
+}
+
+// "copy link" button for a stop card; where the clipboard API is missing or refused, the URL is
+// shown selected in a read-only field after the button, to copy by hand
+function buildCopyLinkButton(feature){
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'copy-link';
+  btn.textContent = t('card.copyLink');
+  btn.addEventListener('click', async () => {
+    const url = stopLink(feature);
+    try {
+      await navigator.clipboard.writeText(url);
+      btn.textContent = t('card.copied');
+      setTimeout(() => { btn.textContent = t('card.copyLink'); }, 2000);
+    } catch (err) {
+      let field = btn.nextElementSibling;
+      if(!field || !field.classList.contains('copy-link-url')){
+        field = document.createElement('input');
+        field.type = 'text';
+        field.readOnly = true;
+        field.className = 'copy-link-url';
+        field.setAttribute('aria-label', t('card.copyLink'));
+        field.addEventListener('focus', () => field.select());
+        btn.parentNode.insertBefore(field, btn.nextElementSibling);
+      }
+      field.value = url;
+      field.focus();
+      field.select();
+    }
+  });
+  return btn;
+}
@@ -0,0 +1,81 @@
+// route-groups.js
+// A stop's arrivals grouped by route and direction (route_short + headsign), the next few times to
+// a row, and the route filter chips that apply to every stop on the page. The chosen routes are
+// remembered in localStorage. Shared by app.js and app4.js; needs i18n.js.
+
+const ROUTE_FILTER_KEY = 'dblive.routeFilter';
+const GROUP_TIMES = 3;   // departures shown on each route row
+
+// chosen route_shorts; empty means every route
+function loadRouteFilter(){
+  try {
+    const saved = JSON.parse(localStorage.getItem(ROUTE_FILTER_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(r => typeof r === 'string' && r) : [];
+  } catch (err) {
+    console.warn('Ignoring unreadable route filter', err);
+    return [];
+  }
+}
+
+function saveRouteFilter(routes){
+  localStorage.setItem(ROUTE_FILTER_KEY, JSON.stringify(routes));
+}
+
+function routeSelected(filter, route){
+  return !filter.length || filter.includes(route);
+}
+
+// "7" < "7a" < "13" < "39A" < "C1"
+function compareRoutes(a, b){
+  return String(a).localeCompare(String(b), 'en', { numeric: true, sensitivity: 'base' });
+}
+
+// Departures (soonest first) -> [{ key, route, headsign, departures }], rows in order of their
+// next departure, each keeping its first `perGroup` departures. route(d) / headsign(d) read the fields.
+function groupDepartures(departures, { route = d => d.route, headsign = d => d.headsign, perGroup = GROUP_TIMES, limit = Infinity } = {}){
+  const groups = new Map();
+  for(const d of departures){
+    const r = route(d) || null, h = headsign(d) || null;
+    const key = `${r}|${h}`;
+    if(!groups.has(key)){
+      if(groups.size >= limit) continue;
+      groups.set(key, { key, route: r, headsign: h, departures: [] });
+    }
+    const group = groups.get(key);
+    if(group.departures.length < perGroup) group.departures.push(d);
+  }
+  return [...groups.values()];
+}
+
+// Fill `container` with one toggle chip per route (chosen ones included even when no shown stop
+// has them, so they can be switched off) and an "all routes" chip. onChange(filter) after saving.
+function renderRouteChips(container, routes, filter, onChange){
+  const all = [...new Set([...routes, ...filter])].filter(Boolean).sort(compareRoutes);
+  container.innerHTML = '';
+  container.hidden = all.length < 2 && !filter.length; // nothing to choose between
+  if(container.hidden) return;
+  const label = document.createElement('span');
+  label.className = 'route-filter-label';
+  label.textContent = t('routes.filter');
+  container.appendChild(label);
+  const chip = (text, pressed, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'route-chip';
+    btn.textContent = text;
+    btn.setAttribute('aria-pressed', String(pressed));
+    btn.addEventListener('click', onClick);
+    container.appendChild(btn);
+  };
+  chip(t('routes.all'), !filter.length, () => {
+    saveRouteFilter([]);
+    onChange([]);
+  });
+  for(const route of all){
+    chip(route, filter.includes(route), () => {
+      const next = filter.includes(route) ? filter.filter(r => r !== route) : [...filter, route];
+      saveRouteFilter(next);
+      onChange(next);
+    });
+  }
+}
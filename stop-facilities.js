@@ -0,0 +1,85 @@
+// stop-facilities.js
+// Accessibility and amenity data from the stops GeoJSON ("True"/"False" strings), as
+// badges for stop cards and as filters for the nearest-stops query. IsSurveyed "0"
+// means nobody has checked the stop, so its data is shown as unverified rather than
+// taken to mean the stop lacks a facility. Labels come from i18n.js ('facility.<key>').
+
+// badge order = display order; `good: false` marks a feature that is a barrier when present
+const STOP_FACILITIES = [
+  { key: 'WheelchairAccessibility', icon: '♿' },
+  { key: 'StepAtStop', icon: '⚠', good: false },
+  { key: 'CastleKerbing', icon: '▁' },
+  { key: 'FootpathToStop', icon: '🚶' },
+  { key: 'StandingArea', icon: '▭' },
+  { key: 'Bench', icon: '🪑' },
+  { key: 'BikeStand', icon: '🚲' },
+  { key: 'Bin', icon: '🗑' }
+];
+
+// ?access= values -> test on stop properties; a stop only matches once surveyed
+const ACCESS_FILTERS = {
+  wheelchair: p => p.WheelchairAccessibility === 'True',
+  stepfree: p => p.StepAtStop === 'False'
+};
+
+function isStopSurveyed(props){
+  return String(props.IsSurveyed) === '1';
+}
+
+// { surveyed, badges: [{ key, icon, label, good }] } for the facilities the stop has
+function stopFacilities(props){
+  const badges = STOP_FACILITIES
+    .filter(f => props[f.key] === 'True')
+    .map(f => ({ key: f.key, icon: f.icon, label: t(`facility.${f.key}`), good: f.good !== false }));
+  return { surveyed: isStopSurveyed(props), badges };
+}
+
+// true when the stop is surveyed and passes every named filter (unknown names are ignored)
+function stopMatchesAccess(props, access){
+  if(!access || !access.length) return true;
+  if(!isStopSurveyed(props)) return false;
+  return access.every(name => !ACCESS_FILTERS[name] || ACCESS_FILTERS[name](props));
+}
+
+// The ?access= checkboxes (input[name="access"]) of a board's #access-filter form: ticked from
+// the URL (readNearestOptions, stop-index.js); a change rewrites ?access= and calls onChange()
+function initAccessFilter(form, onChange){
+  if(!form) return;
+  const boxes = [...form.querySelectorAll('input[name="access"]')];
+  const current = readNearestOptions().access;
+  for(const box of boxes) box.checked = current.includes(box.value);
+  form.addEventListener('submit', ev => ev.preventDefault());
+  form.addEventListener('change', () => {
+    const params = new URLSearchParams(location.search);
+    const access = boxes.filter(b => b.checked).map(b => b.value);
+    if(access.length) params.set('access', access.join(',')); else params.delete('access');
+    history.replaceState(null, '', `${location.pathname}?${params}`);
+    onChange();
+  });
+}
+
+// Small badge row for a stop card
+function buildFacilityBadges(props){
+  const { surveyed, badges } = stopFacilities(props);
+  const div = document.createElement('div');
+  div.className = 'facilities small';
+  for(const b of badges){
+    const span = document.createElement('span');
+    span.className = b.good ? 'badge' : 'badge warn';
+    span.title = b.label;
+    span.textContent = `${b.icon} ${b.label}`;
+    div.appendChild(span);
+  }
+  if(!surveyed){
+    const span = document.createElement('span');
+    span.className = 'badge unverified';
+    span.textContent = t('facility.unverified');
+    div.appendChild(span);
+  } else if(!badges.length){
+    const span = document.createElement('span');
+    span.className = 'badge none';
+    span.textContent = t('facility.none');
+    div.appendChild(span);
+  }
+  return div;
+}
@@ -0,0 +1,162 @@
+// stop-index.js
+// Grid spatial index over the stops GeoJSON, built once after loading, so nearest-stop
+// lookups only measure stops in nearby cells instead of all ~17k features.
+
+const STOP_INDEX_CELL_DEG = 0.01;    // ~1.1 km north-south, ~0.65 km east-west in Ireland
+const EARTH_RADIUS_M = 6371000;
+const M_PER_DEG_LAT = Math.PI * EARTH_RADIUS_M / 180;
+const DEFAULT_NEAREST_K = 5;
+const STOP_INDEX_MAX_OUTSIDE_M = 50000; // queries further than this outside the stops' extent find nothing
+
+function greatCircleMetres(lat1, lon1, lat2, lon2){
+  const toRad = v => v * Math.PI / 180;
+  const dφ = toRad(lat2 - lat1), dλ = toRad(lon2 - lon1);
+  const a = Math.sin(dφ/2)**2 + Math.cos(toRad(lat1))*Math.cos(toRad(lat2))*Math.sin(dλ/2)**2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+}
+
+// features -> { cells: Map("row:col" -> [item]), occupied: [{ row, col, items }], bounds, size };
+// item = { feature, lat, lon }
+function buildStopIndex(features, cellDeg = STOP_INDEX_CELL_DEG){
+  const cells = new Map();
+  const occupied = [];
+  const bounds = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity, maxAbsLat: 0 };
+  let size = 0;
+  for(const feature of features){
+    const lat = parseFloat(feature.properties.Latitude);
+    const lon = parseFloat(feature.properties.Longitude);
+    if(isNaN(lat) || isNaN(lon)) continue; // unplaceable stops can never be "nearest"
+    const row = Math.floor(lat / cellDeg), col = Math.floor(lon / cellDeg);
+    const key = `${row}:${col}`;
+    if(!cells.has(key)){
+      cells.set(key, []);
+      occupied.push({ row, col, items: cells.get(key) });
+    }
+    cells.get(key).push({ feature, lat, lon });
+    bounds.minRow = Math.min(bounds.minRow, row); bounds.maxRow = Math.max(bounds.maxRow, row);
+    bounds.minCol = Math.min(bounds.minCol, col); bounds.maxCol = Math.max(bounds.maxCol, col);
+    bounds.maxAbsLat = Math.max(bounds.maxAbsLat, Math.abs(lat));
+    size++;
+  }
+  return { cells, occupied, bounds, cellDeg, size };
+}
+
+// visit every item in the square ring `r` cells out from (row, col)
+function forEachInRing(index, row, col, r, fn){
+  for(let dr = -r; dr <= r; dr++){
+    const edge = Math.abs(dr) === r;
+    for(let dc = -r; dc <= r; dc += edge ? 1 : 2 * r){
+      const items = index.cells.get(`${row + dr}:${col + dc}`);
+      if(items) for(const it of items) fn(it);
+      if(r === 0) break;
+    }
+  }
+}
+
+// narrowest cell side in metres near (lat), so r cells away is always at least r * cellM
+function indexCellMetres(index, lat){
+  const lonScale = Math.cos(Math.min(89, Math.max(index.bounds.maxAbsLat, Math.abs(lat))) * Math.PI / 180);
+  return index.cellDeg * M_PER_DEG_LAT * lonScale;
+}
+
+// false for points far outside the indexed stops (a deep link to another country, 0,0 ...)
+function indexCovers(index, lat, lon){
+  const { cellDeg, bounds } = index;
+  const row = Math.floor(lat / cellDeg), col = Math.floor(lon / cellDeg);
+  const outside = Math.max(bounds.minRow - row, row - bounds.maxRow, bounds.minCol - col, col - bounds.maxCol, 0);
+  return outside * indexCellMetres(index, lat) <= STOP_INDEX_MAX_OUTSIDE_M;
+}
+
+// The k nearest stops (within maxM) visiting only occupied cells, nearest ring first, for points
+// where the square rings would be mostly empty (sea, sparse countryside, the edge of the map).
+// A cell r rings out is at least (r - 1) * cellM away, which says when to stop.
+function nearestByOccupiedCells(index, lat, lon, k, filter, maxM = Infinity){
+  const { cellDeg } = index;
+  const row = Math.floor(lat / cellDeg), col = Math.floor(lon / cellDeg);
+  const cellM = indexCellMetres(index, lat);
+  const rings = index.occupied
+    .map(c => ({ c, ring: Math.max(Math.abs(c.row - row), Math.abs(c.col - col)) }))
+    .filter(({ ring }) => (ring - 1) * cellM <= maxM)
+    .sort((a,b) => a.ring - b.ring);
+  let found = [];
+  for(const { c, ring } of rings){
+    if(found.length >= k && found[k-1].distance <= (ring - 1) * cellM) break;
+    for(const it of c.items){
+      if(filter && !filter(it.feature)) continue;
+      const distance = Math.round(greatCircleMetres(lat, lon, it.lat, it.lon));
+      if(distance <= maxM) found.push({ ...it, distance });
+    }
+    if(found.length >= k) found = found.sort((a,b) => a.distance - b.distance).slice(0, k);
+  }
+  return found.sort((a,b) => a.distance - b.distance).slice(0, k);
+}
+
+// k nearest stops to (lat, lon), closest first: [{ feature, lat, lon, distance }].
+// `filter(feature)`, when given, skips stops that fail it.
+function nearestStops(index, lat, lon, k = DEFAULT_NEAREST_K, filter = null){
+  if(!index.size || k <= 0 || !indexCovers(index, lat, lon)) return [];
+  const { cellDeg, bounds } = index;
+  const row = Math.floor(lat / cellDeg), col = Math.floor(lon / cellDeg);
+  const cellM = indexCellMetres(index, lat);
+  const maxRing = Math.max(row - bounds.minRow, bounds.maxRow - row, col - bounds.minCol, bounds.maxCol - col);
+
+  const found = [];
+  for(let r = 0; r <= maxRing; r++){
+    // once the square holds more cells than there are occupied ones, most of it is empty
+    if((2 * r + 1) ** 2 > index.occupied.length) return nearestByOccupiedCells(index, lat, lon, k, filter);
+    forEachInRing(index, row, col, r, it => {
+      if(filter && !filter(it.feature)) return;
+      found.push({ ...it, distance: Math.round(greatCircleMetres(lat, lon, it.lat, it.lon)) });
+    });
+    if(found.length >= k){
+      found.sort((a,b) => a.distance - b.distance);
+      found.length = k;
+      if(found[k-1].distance <= r * cellM) break;
+    }
+  }
+  return found.sort((a,b) => a.distance - b.distance).slice(0, k);
+}
+
+// every stop within radiusM metres of (lat, lon), closest first
+function stopsWithinRadius(index, lat, lon, radiusM, filter = null){
+  if(!index.size || !(radiusM >= 0) || !indexCovers(index, lat, lon)) return [];
+  const { cellDeg } = index;
+  const dLat = radiusM / M_PER_DEG_LAT;
+  const dLon = radiusM / (M_PER_DEG_LAT * Math.max(Math.cos((Math.abs(lat) + dLat) * Math.PI / 180), 1e-6));
+  const rows = Math.floor((lat + dLat) / cellDeg) - Math.floor((lat - dLat) / cellDeg) + 1;
+  const cols = Math.floor((lon + dLon) / cellDeg) - Math.floor((lon - dLon) / cellDeg) + 1;
+  if(rows * cols > index.occupied.length) return nearestByOccupiedCells(index, lat, lon, Infinity, filter, radiusM); // a huge radius
+  const out = [];
+  for(let row = Math.floor((lat - dLat) / cellDeg); row <= Math.floor((lat + dLat) / cellDeg); row++){
+    for(let col = Math.floor((lon - dLon) / cellDeg); col <= Math.floor((lon + dLon) / cellDeg); col++){
+      for(const it of index.cells.get(`${row}:${col}`) || []){
+        if(filter && !filter(it.feature)) continue;
+        const distance = Math.round(greatCircleMetres(lat, lon, it.lat, it.lon));
+        if(distance <= radiusM) out.push({ ...it, distance });
+      }
+    }
+  }
+  return out.sort((a,b) => a.distance - b.distance);
+}
+
+// ?k=<count>, ?radius=<metres> and ?access=wheelchair,stepfree from the page URL;
+// radius takes precedence over k when set
+function readNearestOptions(search = location.search){
+  const params = new URLSearchParams(search);
+  const k = parseInt(params.get('k'), 10);
+  const radius = parseFloat(params.get('radius'));
+  return {
+    k: k > 0 ? k : DEFAULT_NEAREST_K,
+    radius: radius > 0 ? radius : null,
+    access: (params.get('access') || '').split(',').map(a => a.trim()).filter(Boolean)
+  };
+}
+
+// Nearby stops per the options: all within radius, else the k nearest.
+// Access filters need stop-facilities.js (stopMatchesAccess).
+function queryNearbyStops(index, lat, lon, opts){
+  const filter = opts.access && opts.access.length ? f => stopMatchesAccess(f.properties, opts.access) : null;
+  return opts.radius
+    ? stopsWithinRadius(index, lat, lon, opts.radius, filter)
+    : nearestStops(index, lat, lon, opts.k, filter);
+}
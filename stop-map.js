@@ -0,0 +1,124 @@
+// stop-map.js
+// Offline map of nearby stops: plain SVG, no tile service. Draws the user's position with
+// its accuracy circle (and heading when known), each stop labelled with its number and an
+// arrow for the stop's own Bearing property, plus any live vehicles passed in.
+// Needs stop-index.js (M_PER_DEG_LAT), stop-search.js (stopNumberOf) and i18n.js (labels, stop names).
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAP_PADDING_M = 60;      // margin around the outermost stop / accuracy circle
+const MAP_MIN_SPAN_M = 300;    // never zoom in further than this across
+const COMPASS_DEG = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
+
+function svgEl(name, attrs = {}){
+  const el = document.createElementNS(SVG_NS, name);
+  for(const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+}
+
+// local flat projection around `center` in metres (x east, y south), good enough for a few km
+function makeProjection(center){
+  const kx = Math.cos(center.latitude * Math.PI / 180) * M_PER_DEG_LAT;
+  return (lat, lon) => ({ x: (lon - center.longitude) * kx, y: -(lat - center.latitude) * M_PER_DEG_LAT });
+}
+
+// arrow of `len` metres from (x, y) pointing `deg` clockwise from north
+function arrowPath(x, y, deg, len){
+  const r = deg * Math.PI / 180;
+  const tx = x + Math.sin(r) * len, ty = y - Math.cos(r) * len;
+  const head = len * 0.4, spread = 0.5;
+  const hx1 = tx - Math.sin(r - spread) * head, hy1 = ty + Math.cos(r - spread) * head;
+  const hx2 = tx - Math.sin(r + spread) * head, hy2 = ty + Math.cos(r + spread) * head;
+  return `M${x},${y} L${tx},${ty} M${hx1},${hy1} L${tx},${ty} L${hx2},${hy2}`;
+}
+
+// Render into `container`. opts: { center: {latitude, longitude}, accuracy, heading,
+// stops: [{ feature, lat, lon }], vehicles: [{ lat, lon, bearing, label, title, stale }],
+// onSelect(feature) }. Returns the <svg>.
+function renderStopMap(container, { center, accuracy = null, heading = null, stops = [], vehicles = [], onSelect = null }){
+  container.innerHTML = '';
+  const project = makeProjection(center);
+  const pts = stops
+    .filter(s => !isNaN(s.lat) && !isNaN(s.lon))
+    .map(s => ({ ...s, ...project(s.lat, s.lon) }));
+  const buses = vehicles
+    .filter(v => v.lat != null && v.lon != null)
+    .map(v => ({ ...v, ...project(v.lat, v.lon) }));
+
+  // fit every stop, vehicle and the accuracy circle, centred on the user
+  let extent = Math.max(accuracy || 0, MAP_MIN_SPAN_M / 2);
+  for(const p of [...pts, ...buses]) extent = Math.max(extent, Math.abs(p.x), Math.abs(p.y));
+  extent += MAP_PADDING_M;
+  const unit = extent / 40; // marker / text scale, so the drawing looks the same at any zoom
+
+  const svg = svgEl('svg', {
+    viewBox: `${-extent} ${-extent} ${2*extent} ${2*extent}`,
+    class: 'stop-map',
+    role: 'img',
+    'aria-label': t('map.aria')
+  });
+
+  // north indicator and scale bar
+  const north = svgEl('text', { x: extent - unit * 2, y: -extent + unit * 2.5, 'font-size': unit * 1.6, 'text-anchor': 'middle', class: 'map-north' });
+  north.textContent = t('map.north');
+  svg.appendChild(north);
+  const scaleM = [50, 100, 200, 500, 1000, 2000, 5000].find(m => m >= extent / 4) || 10000;
+  const sx = -extent + unit, sy = extent - unit;
+  svg.appendChild(svgEl('path', { d: `M${sx},${sy - unit/2} V${sy} H${sx + scaleM} V${sy - unit/2}`, class: 'map-scale', 'stroke-width': unit / 6, fill: 'none' }));
+  const scaleText = svgEl('text', { x: sx + scaleM / 2, y: sy - unit * 0.7, 'font-size': unit * 1.1, 'text-anchor': 'middle', class: 'map-scale-label' });
+  scaleText.textContent = scaleM >= 1000 ? `${scaleM / 1000} km` : `${scaleM} m`;
+  svg.appendChild(scaleText);
+
+  // user: accuracy circle, heading, dot
+  if(accuracy) svg.appendChild(svgEl('circle', { cx: 0, cy: 0, r: accuracy, class: 'map-accuracy' }));
+  if(heading != null && !isNaN(heading)){
+    svg.appendChild(svgEl('path', { d: arrowPath(0, 0, heading, unit * 3), class: 'map-heading', 'stroke-width': unit / 3, fill: 'none' }));
+  }
+  svg.appendChild(svgEl('circle', { cx: 0, cy: 0, r: unit * 0.7, class: 'map-user' }));
+
+  // stops
+  for(const p of pts){
+    const props = p.feature.properties;
+    const g = svgEl('g', { class: 'map-stop', tabindex: 0, role: 'button' });
+    const title = svgEl('title');
+    title.textContent = `${stopName(props)} (#${stopNumberOf(props)})`;
+    g.appendChild(title);
+
+    const deg = COMPASS_DEG[props.Bearing];
+    if(deg !== undefined){
+      g.appendChild(svgEl('path', { d: arrowPath(p.x, p.y, deg, unit * 2.2), class: 'map-stop-bearing', 'stroke-width': unit / 4, fill: 'none' }));
+    }
+    g.appendChild(svgEl('circle', { cx: p.x, cy: p.y, r: unit * 0.8, class: 'map-stop-dot' }));
+    const label = svgEl('text', { x: p.x + unit, y: p.y - unit, 'font-size': unit * 1.2, class: 'map-stop-label' });
+    label.textContent = stopNumberOf(props);
+    g.appendChild(label);
+
+    if(onSelect){
+      g.addEventListener('click', () => onSelect(p.feature));
+      g.addEventListener('keydown', ev => { if(ev.key === 'Enter' || ev.key === ' '){ ev.preventDefault(); onSelect(p.feature); } });
+    }
+    svg.appendChild(g);
+  }
+
+  // vehicles on top, so a bus at a stop is not hidden by it
+  for(const b of buses){
+    const g = svgEl('g', { class: b.stale ? 'map-vehicle stale' : 'map-vehicle' });
+    if(b.title){
+      const title = svgEl('title');
+      title.textContent = b.title;
+      g.appendChild(title);
+    }
+    if(b.bearing != null){
+      g.appendChild(svgEl('path', { d: arrowPath(b.x, b.y, b.bearing, unit * 2), class: 'map-vehicle-bearing', 'stroke-width': unit / 4, fill: 'none' }));
+    }
+    g.appendChild(svgEl('rect', { x: b.x - unit * 0.8, y: b.y - unit * 0.8, width: unit * 1.6, height: unit * 1.6, rx: unit * 0.3, class: 'map-vehicle-dot' }));
+    if(b.label){
+      const label = svgEl('text', { x: b.x + unit, y: b.y + unit * 1.6, 'font-size': unit * 1.2, class: 'map-vehicle-label' });
+      label.textContent = b.label;
+      g.appendChild(label);
+    }
+    svg.appendChild(g);
+  }
+
+  container.appendChild(svg);
+  return svg;
+}
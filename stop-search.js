@@ -0,0 +1,116 @@
+// stop-search.js
+// Fuzzy, accent-insensitive stop search over English/Irish names, plate code, ATCO code
+// and the public stop number (last six digits of the ATCO code), so "Dun an Ri" finds "Dún an Rí".
+// Needs stop-index.js (greatCircleMetres) for distances.
+
+const SEARCH_MAX_RESULTS = 10;
+
+// lower-case, strip accents (fada) and punctuation
+function normalizeSearchText(str){
+  return String(str || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// public stop number as shown on the pole, e.g. "8300B138951" -> "138951"
+function stopNumberOf(props){
+  const atco = props.AtcoCode || '';
+  const n = parseInt(atco.slice(-6), 10);
+  return isNaN(n) ? '' : String(n);
+}
+
+// "107011.0" -> "107011"; "nan" and "0.0" mean no plate
+function plateCodeOf(props){
+  const p = String(props.PlateCode || '').replace(/\.0+$/, '');
+  return p === 'nan' || p === '0' ? '' : p;
+}
+
+// Precompute normalised fields once per stop
+function buildStopSearchIndex(features){
+  return features
+    .filter(f => f.properties && f.properties.AtcoCode)
+    .map(f => {
+      const p = f.properties;
+      const english = normalizeSearchText(p.SCN_English);
+      const irish = normalizeSearchText(p.SCN_Gaeilge);
+      return {
+        feature: f,
+        names: [english, irish].filter(Boolean),
+        words: [...new Set(`${english} ${irish}`.split(' ').filter(Boolean))],
+        codes: [stopNumberOf(p), plateCodeOf(p), p.AtcoCode.toLowerCase()].filter(Boolean)
+      };
+    });
+}
+
+// true when a and b differ by at most one insert, delete, substitution or adjacent swap
+function withinOneEdit(a, b){
+  if(Math.abs(a.length - b.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while(i < a.length && j < b.length){
+    if(a[i] === b[j]){ i++; j++; continue; }
+    if(++edits > 1) return false;
+    if(a.length > b.length) i++;
+    else if(b.length > a.length) j++;
+    else if(a[i] === b[j+1] && a[i+1] === b[j]){ i += 2; j += 2; }
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// how well one query token matches a stop's name words (0 = no match)
+function scoreToken(token, words){
+  let best = 0;
+  for(const w of words){
+    if(w === token) return 4;
+    if(w.startsWith(token)) best = Math.max(best, 3);
+    else if(w.includes(token)) best = Math.max(best, 2);
+    else if(token.length >= 4 && withinOneEdit(token, w.slice(0, token.length))) best = Math.max(best, 1); // typo tolerance
+  }
+  return best;
+}
+
+// 0..100 relevance of a stop for a normalised query
+function scoreStop(entry, query){
+  for(const code of entry.codes){
+    if(code === query) return 100;
+    if(code.startsWith(query) && /\d/.test(query)) return 75;
+  }
+  for(const name of entry.names){
+    if(name === query) return 95;
+    if(name.startsWith(query)) return 85;
+  }
+  const tokens = query.split(' ');
+  let total = 0;
+  for(const t of tokens){
+    const s = scoreToken(t, entry.words);
+    if(!s) return 0; // every token must match something
+    total += s;
+  }
+  return Math.round(60 * total / (4 * tokens.length));
+}
+
+// Ranked matches: [{ feature, score, distance }]. With `from` ({latitude, longitude}) distance
+// is attached; byDistance sorts nearest first instead of best match first.
+function searchStops(searchIndex, rawQuery, { from = null, byDistance = false, limit = SEARCH_MAX_RESULTS } = {}){
+  const query = normalizeSearchText(rawQuery);
+  if(!query) return [];
+  const results = [];
+  for(const entry of searchIndex){
+    const score = scoreStop(entry, query);
+    if(!score) continue;
+    let distance = null;
+    if(from){
+      const p = entry.feature.properties;
+      const lat = parseFloat(p.Latitude), lon = parseFloat(p.Longitude);
+      if(!isNaN(lat) && !isNaN(lon)) distance = Math.round(greatCircleMetres(from.latitude, from.longitude, lat, lon));
+    }
+    results.push({ feature: entry.feature, score, distance });
+  }
+  const dist = r => r.distance == null ? Infinity : r.distance;
+  results.sort(byDistance
+    ? (a,b) => dist(a) - dist(b) || b.score - a.score
+    : (a,b) => b.score - a.score || dist(a) - dist(b));
+  return results.slice(0, limit);
+}
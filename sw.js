@@ -0,0 +1,92 @@
+// sw.js
+// Service worker: precaches the app shell and static GTFS files, and keeps a copy of every
+// per-stop schedule JSON fetched from R2 so the boards still show scheduled times offline, and
+// brings the board back when a departure alert notification is tapped.
+// Bump CACHE_VERSION with every new GTFS drop (or app release): activation drops the old caches.
+
+const CACHE_VERSION = 'gtfs-20251119-17';
+const STATIC_CACHE = `dblive-static-${CACHE_VERSION}`;
+const STOPS_CACHE = `dblive-stops-${CACHE_VERSION}`;
+
+const STATIC_ASSETS = [
+  './',
+  'index.html', 'index2.html', 'index4.html',
+  'app.js', 'app2.js', 'app4.js',
+  'pako.min.js', 'i18n.js', 'gtfs-csv.js', 'gtfs-calendar.js', 'gtfs-rt.js', 'trip-index.js', 'trip-index-worker.js',
+  'stop-index.js', 'stop-facilities.js', 'stop-search.js', 'location-source.js', 'route-groups.js', 'stop-map.js', 'favourites.js', 'departure-alerts.js', 'journey.js',
+  'stops.geojson.gz', 'trips.txt.gz', 'calendar.txt', 'calendar_dates.txt', 'trip-index/manifest.json'
+];
+
+// trip index and trip stop list shards are fetched as needed and kept until the next CACHE_VERSION
+const TRIP_SHARD_RE = /^trip-(index|stops)\/[^/]+\.json\.gz$/;
+
+// per-stop schedule JSON: https://<bucket>.r2.dev/stops/<AtcoCode>.json
+const STOP_JSON_RE = /\/stops\/[^/]+\.json$/;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE)
+      .then(cache => cache.addAll(STATIC_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const keep = new Set([STATIC_CACHE, STOPS_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('dblive-') && !keep.has(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// static files: cache first (they only change with CACHE_VERSION); misses are stored for next time
+async function cacheFirst(request){
+  const cached = await caches.match(request, { ignoreSearch: true, cacheName: STATIC_CACHE });
+  if(cached) return cached;
+  const resp = await fetch(request);
+  if(resp.ok) (await caches.open(STATIC_CACHE)).put(request, resp.clone());
+  return resp;
+}
+
+// stop JSON: network first so a new drop shows up, cached copy when offline
+async function networkFirst(request){
+  const cache = await caches.open(STOPS_CACHE);
+  try {
+    const resp = await fetch(request);
+    if(resp.ok) cache.put(request, resp.clone());
+    return resp;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if(cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if(request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if(STOP_JSON_RE.test(url.pathname)){
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  // same scope as the worker (also covers app4's absolute stops.geojson.gz URL when hosted there)
+  if(url.origin === self.location.origin){
+    const scope = new URL(self.registration.scope);
+    const rel = url.pathname.startsWith(scope.pathname) ? url.pathname.slice(scope.pathname.length) : null;
+    if(rel !== null && (rel === '' || STATIC_ASSETS.includes(rel) || TRIP_SHARD_RE.test(rel))) event.respondWith(cacheFirst(request));
+  }
+  // everything else (the realtime worker in particular) goes to the network untouched,
+  // so a failed fetch tells the app to fall back to scheduled times
+});
+
+// departure alert tapped (app4): back to an open board, else a new one
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(list => {
+    const client = list.find(c => new URL(c.url).pathname.endsWith('index4.html')) || list[0];
+    return client ? client.focus() : self.clients.openWindow('index4.html');
+  }));
+});
@@ -0,0 +1,164 @@
+// test/build-stop-json.test.js
+// tools/build-stop-json.js run on a small GTFS zip made here (stored and deflated entries, one feed
+// file in a folder, a station, an untimed call, a time past 24:00 and some broken references), then
+// the drop it writes read back: per-stop JSON, stops.geojson.gz, trip-stops/ and report.json.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const { root, loadScripts, plain } = require('./helpers');
+
+const FEED = {
+  'stops.txt': [
+    'stop_id,stop_code,stop_name,stop_lat,stop_lon,location_type',
+    '8300B100010,100010,"Dundalk, Bus Station",54.0002,-6.4061,0',
+    '8300B138951,138951,Dundalk IT,54.0030,-6.3995,',
+    '8300B999999,999999,Quiet Lane,54.0100,-6.4100,0',
+    '8300STATION,,Dundalk Station,54.0000,-6.4000,1'
+  ],
+  'routes.txt': ['route_id,route_short_name,route_long_name', 'R43,43,Dundalk Town', 'R101,,Drogheda - Dundalk'],
+  'calendar.txt': ['service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date', 'WK,1,1,1,1,1,0,0,20250101,20261231'],
+  'calendar_dates.txt': ['service_id,date,exception_type', 'WK,20251225,2'],
+  'trips.txt': [
+    'route_id,service_id,trip_id,trip_headsign',
+    'R43,WK,3113_1,Dundalk IT',
+    'R101,WK,5000_7,Drogheda',
+    'R99,WK,9999_1,Nowhere'      // unknown route, and no stop_times
+  ],
+  'feed/stop_times.txt': [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+    '3113_1,14:10:00,14:10:00,8300B100010,1',
+    '3113_1,,,8300B999999,2',      // untimed
+    '3113_1,14:20:00,14:20:00,8300B138951,3',
+    '5000_7,25:10:00,25:10:00,8300B138951,1',
+    '5000_7,25:40:00,25:40:00,8300B100010,2',
+    '5000_7,25:45:00,25:45:00,8300BGHOST,3'   // unknown stop
+  ]
+};
+
+// ----------------- a minimal zip writer -----------------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for(let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buf){
+  let c = 0xffffffff;
+  for(const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// { name: text } -> zip; every other entry deflated, as feeds mix both
+function writeZip(files){
+  const locals = [], centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text], i) => {
+    const data = Buffer.from(text);
+    const method = i % 2 ? 0 : 8;
+    const body = method ? zlib.deflateRawSync(data) : data;
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, body);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  });
+  const cen = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(centrals.length / 2, 8);
+  eocd.writeUInt16LE(centrals.length / 2, 10);
+  eocd.writeUInt32LE(cen.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cen, eocd]);
+}
+
+// ----------------- the build -----------------
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'build-stop-json-'));
+const out = path.join(tmp, 'drop');
+fs.writeFileSync(path.join(tmp, 'gtfs.zip'), writeZip(Object.fromEntries(Object.entries(FEED).map(([n, lines]) => [n, lines.join('\r\n') + '\r\n']))));
+const run = spawnSync(process.execPath, [path.join(root, 'tools/build-stop-json.js'), path.join(tmp, 'gtfs.zip'), out, '--strict'],
+  { encoding: 'utf8', timeout: 60000 });
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(out, file), 'utf8'));
+const readGzJson = file => JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(out, file))));
+
+test('--strict fails the build on the broken references and prints the report', () => {
+  assert.equal(run.status, 1, run.stderr);
+  assert.match(run.stdout, /ERROR: stop_times for unknown stop_id: 1 \(e\.g\. 8300BGHOST\)/);
+});
+
+test('stops/<atco>.json: each stop\'s timed calls, soonest first, times past 24:00 kept', () => {
+  assert.deepEqual(readJson('stops/8300B138951.json'), [
+    { trip_id: '3113_1', route_short: '43', trip_headsign: 'Dundalk IT', arrival_time: '14:20:00' },
+    { trip_id: '5000_7', route_short: 'Drogheda - Dundalk', trip_headsign: 'Drogheda', arrival_time: '25:10:00' }
+  ]);
+  assert.deepEqual(readJson('stops/8300B100010.json').map(r => r.arrival_time), ['14:10:00', '25:40:00']);
+  assert.deepEqual(readJson('stops/8300B999999.json'), []); // only an untimed call: a file all the same
+  assert.ok(!fs.existsSync(path.join(out, 'stops/8300STATION.json')));
+});
+
+test('stops.geojson.gz: a Point per stop with numeric coordinates, stations left out', () => {
+  const { type, features } = readGzJson('stops.geojson.gz');
+  assert.equal(type, 'FeatureCollection');
+  assert.deepEqual(features.map(f => f.properties.AtcoCode), ['8300B100010', '8300B138951', '8300B999999']);
+  for(const f of features){
+    assert.equal(f.geometry.type, 'Point');
+    assert.ok(f.geometry.coordinates.every(c => typeof c === 'number'), JSON.stringify(f.geometry));
+    assert.deepEqual(f.geometry.coordinates, [parseFloat(f.properties.Longitude), parseFloat(f.properties.Latitude)]);
+  }
+  assert.equal(features[0].properties.SCN_English, 'Dundalk, Bus Station');
+  assert.equal(features[0].properties.Latitude, '54.0002'); // as stops.txt has it
+});
+
+test('trip-stops/ lists every call of a trip in order, untimed ones included', () => {
+  const tripIndex = loadScripts(['trip-index.js']);
+  const shard = readGzJson(`trip-stops/${tripIndex.tripShardKey('3113_1')}.json.gz`);
+  assert.deepEqual(plain(tripIndex.decodeTripStops(shard, '3113_1')), [
+    { stop_id: '8300B100010', stop_sequence: 1, seconds: 51000 },
+    { stop_id: '8300B999999', stop_sequence: 2, seconds: null },
+    { stop_id: '8300B138951', stop_sequence: 3, seconds: 51600 }
+  ]);
+  const manifest = readJson('trip-index/manifest.json');
+  assert.ok(Object.keys(manifest.shards).length >= 1);
+});
+
+test('report.json counts what was read and written, and names the problems', () => {
+  const report = readJson('report.json');
+  assert.equal(report.source, 'gtfs.zip');
+  const { tripIndexShards, tripStopShards, ...counts } = report.counts;
+  assert.deepEqual(counts, {
+    stops: 3, stopsWithTimes: 2, stopsMergedFromExisting: 0, routes: 2, services: 1,
+    trips: 3, stopTimes: 6, rowsWritten: 4
+  });
+  assert.ok(tripIndexShards >= 1 && tripStopShards >= 1);
+  assert.deepEqual(Object.keys(report.errors).sort(), [
+    'orphan trips: no stop_times', 'orphan trips: unknown route_id', 'stop_times for unknown stop_id'
+  ]);
+  assert.deepEqual(report.errors['orphan trips: unknown route_id'], { count: 1, examples: ['9999_1'] });
+  assert.deepEqual(report.warnings['untimed stop_times rows'], { count: 1, examples: ['3113_1@8300B999999'] });
+  assert.equal(report.warnings['stops without times'].examples[0], '8300B999999');
+  // the rest of the drop
+  for(const file of ['trips.txt.gz', 'calendar.txt', 'calendar_dates.txt']) assert.ok(fs.existsSync(path.join(out, file)), file);
+});
@@ -0,0 +1,234 @@
+// test/departure-alerts.test.js
+// Departure alerts against a clock the tests move: evaluateAlert (departure-alerts.js) on its own, then
+// app4.js's checkAlerts polling the sample feed (gtfs-rt-sample.pb) with a stand-in Notification, and the
+// bell's inline form.
+
+process.env.TZ = 'Europe/Dublin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, evaluate, plain, readFixture, fakeElement } = require('./helpers');
+
+const at = hhmm => new Date(`2025-11-19T${hhmm}Z`).getTime(); // Dublin is on UTC in November
+const SCHEDULED = at('14:20:00');
+
+// ----------------- evaluateAlert -----------------
+
+const alerts = loadScripts(['departure-alerts.js']);
+
+function watch(minutes = 5){
+  return alerts.sanitizeAlerts({ alerts: [{ atco: '8300B138951', trip_id: '3113_1', route: '43', headsign: 'Dundalk IT', scheduled: SCHEDULED, minutes }] })[0];
+}
+
+// run the watch through `steps` of [time, departure], feeding each result into the next as checkAlerts does
+function run(alert, steps){
+  const seen = [];
+  for(const [time, dep] of steps){
+    const result = alerts.evaluateAlert(alert, dep, at(time));
+    seen.push([time, result.notices.map(n => n.type), result.done]);
+    alert = result.alert;
+  }
+  return { seen: plain(seen), alert };
+}
+
+const live = (hhmm, delaySeconds) => ({ kind: 'live', expected: new Date(at(hhmm)), delaySeconds });
+
+test('due fires once, N minutes before the timetable time when there is no prediction', () => {
+  const { seen } = run(watch(), [['14:10:00', null], ['14:14:59', null], ['14:15:00', null], ['14:16:00', null], ['14:19:00', null]]);
+  assert.deepEqual(seen, [
+    ['14:10:00', [], false], ['14:14:59', [], false], ['14:15:00', ['due'], false], ['14:16:00', [], false], ['14:19:00', [], false]
+  ]);
+});
+
+test('due follows the prediction', () => {
+  const { seen } = run(watch(), [['14:15:00', live('14:24:00', 240)], ['14:19:00', live('14:24:00', 240)]]);
+  assert.deepEqual(seen, [['14:15:00', [], false], ['14:19:00', ['due'], false]]);
+  const [notice] = alerts.evaluateAlert(watch(), live('14:24:00', 240), at('14:19:00')).notices;
+  assert.equal(notice.expected.getTime(), at('14:24:00'));
+  assert.equal(notice.delaySeconds, 240);
+});
+
+test('a cancelled or skipped departure is told once and ends the watch', () => {
+  for(const kind of ['cancelled', 'skipped']){
+    const dep = { kind, expected: null, delaySeconds: null };
+    const first = alerts.evaluateAlert(watch(), dep, at('14:05:00'));
+    assert.deepEqual(plain(first.notices), [{ type: 'cancelled', expected: null, delaySeconds: null }]);
+    assert.equal(first.done, true);
+    assert.equal(first.alert.notified.cancelled, true);
+    // a caller that kept it anyway isn't told twice
+    assert.deepEqual(plain(alerts.evaluateAlert(first.alert, dep, at('14:06:00')).notices), []);
+  }
+});
+
+test('a heavy delay is told on reaching it and for each further HEAVY_DELAY_S, re-arming due', () => {
+  const { seen, alert } = run(watch(), [
+    ['14:15:00', live('14:20:00', 0)],     // due
+    ['14:16:00', live('14:30:00', 600)],   // 10 min late: told, and due again nearer the new time
+    ['14:20:00', live('14:35:00', 900)],   // 15 min: not another full step
+    ['14:30:00', live('14:35:00', 900)],   // due again
+    ['14:31:00', live('14:41:00', 1260)],  // 21 min: a further step, but it's 10 min off so due re-arms
+    ['14:36:00', live('14:41:00', 1260)]
+  ]);
+  assert.deepEqual(seen, [
+    ['14:15:00', ['due'], false], ['14:16:00', ['delay'], false], ['14:20:00', [], false],
+    ['14:30:00', ['due'], false], ['14:31:00', ['delay'], false], ['14:36:00', ['due'], false]
+  ]);
+  assert.equal(alert.notified.delay, 1260);
+});
+
+test('a delay told when the bus is already close does not repeat due', () => {
+  const { seen } = run(watch(), [['14:26:00', live('14:30:00', 600)], ['14:27:00', live('14:30:00', 600)]]);
+  assert.deepEqual(seen, [['14:26:00', ['delay', 'due'], false], ['14:27:00', [], false]]);
+});
+
+test('the watch ends ALERT_DEPARTED_MS after the best-estimate time', () => {
+  const { seen } = run(watch(), [['14:22:00', null], ['14:22:01', null], ['14:23:00', live('14:22:00', 120)], ['14:24:01', live('14:22:00', 120)]]);
+  assert.deepEqual(seen, [['14:22:00', ['due'], false], ['14:22:01', [], true], ['14:23:00', [], false], ['14:24:01', [], true]]);
+});
+
+// ----------------- checkAlerts over the sample feed -----------------
+
+const APP4_SCRIPTS = ['i18n.js', 'gtfs-csv.js', 'gtfs-calendar.js', 'trip-index.js', 'stop-index.js', 'stop-facilities.js',
+  'stop-search.js', 'location-source.js', 'route-groups.js', 'stop-map.js', 'favourites.js', 'departure-alerts.js',
+  'gtfs-rt.js', 'journey.js', 'app4.js'];
+
+const shown = [];
+class FakeNotification {
+  constructor(title, options){ shown.push({ title, tag: options.tag, body: options.body }); }
+}
+FakeNotification.permission = 'granted';
+
+const app4 = loadScripts(APP4_SCRIPTS, { Notification: FakeNotification });
+const arrivals = app4.toRealtimeModel(readFixture('gtfs-rt-sample.pb')).arrivals;
+evaluate(app4, 'board').rt = {
+  byStop: app4.buildRtStopMap(arrivals), byTrip: app4.buildRtTripMap(arrivals),
+  cancelled: app4.cancelledTripIds(arrivals), vehicles: new Map()
+};
+
+test('checkAlerts: the feed\'s cancellation and prediction notify once each, and finished watches are dropped', () => {
+  const live43 = app4.addAlert({ atco: '8300B138951', trip_id: '3113_1', route: '43', headsign: 'Dundalk IT', scheduled: new Date(SCHEDULED), minutes: 5 });
+  const cancelled43 = app4.addAlert({ atco: '8300B138951', trip_id: '3113_2', route: '43', headsign: 'Dundalk IT', scheduled: new Date(at('14:30:00')), minutes: 5 });
+  const ids = () => plain(app4.loadAlerts().map(a => a.id));
+
+  app4.checkAlerts(at('14:10:00'));
+  assert.deepEqual(plain(shown), [{ title: app4.t('alert.cancelled', { name: '43 → Dundalk IT' }), tag: cancelled43.id, body: '8300B138951' }]);
+  assert.deepEqual(ids(), [live43.id]);
+
+  // the feed has 3113_1 two minutes late at 14:22: due at 14:17, not 14:15
+  shown.length = 0;
+  app4.checkAlerts(at('14:16:00'));
+  assert.equal(shown.length, 0);
+  app4.checkAlerts(at('14:17:00'));
+  assert.equal(shown.length, 1);
+  assert.equal(shown[0].tag, live43.id);
+  assert.ok(shown[0].title.startsWith('43 → Dundalk IT: '));
+  assert.equal(shown[0].body, app4.t('alert.body', { stop: '8300B138951', time: app4.formatClock(new Date(at('14:22:00'))) }));
+  app4.checkAlerts(at('14:18:00'));
+  assert.equal(shown.length, 1);
+
+  app4.checkAlerts(at('14:24:01'));
+  assert.deepEqual(ids(), []);
+});
+
+// the sample's 3113_1 running 45 minutes late at 8300B138951, on service day `startDate`
+function lateFeed(startDate){
+  const arrival = { delay: 2700, time: at('15:05:00') / 1000 };
+  const trip = { tripId: '3113_1', routeId: '3113_32198', ...(startDate ? { startDate } : {}) };
+  const arrivals = app4.toRealtimeModel({ entity: [{ id: 'T1', tripUpdate: { trip, stopTimeUpdate: [{ stopSequence: 20, stopId: '8300B138951', arrival }] } }] }).arrivals;
+  return { byStop: app4.buildRtStopMap(arrivals), byTrip: app4.buildRtTripMap(arrivals), cancelled: new Set(), vehicles: new Map() };
+}
+
+test('checkAlerts: a bus 45 minutes late is told as late, due on its prediction, and watched until it comes', () => {
+  const board = evaluate(app4, 'board'), sampleRt = board.rt;
+  try {
+    for(const [startDate, serviceDate] of [['20251119', '20251119'], [null, null]]){ // by service date, else the nearest run
+      board.rt = lateFeed(startDate);
+      shown.length = 0;
+      const watch = app4.addAlert({ atco: '8300B138951', trip_id: '3113_1', route: '43', headsign: 'Dundalk IT', scheduled: new Date(SCHEDULED), serviceDate, minutes: 5 });
+      app4.checkAlerts(at('14:15:00')); // 5 minutes before the timetable time
+      assert.deepEqual(plain(shown.map(n => n.title)), [app4.t('alert.delayed', { name: '43 → Dundalk IT', mins: 45 })]);
+      app4.checkAlerts(at('14:25:00')); // the old time gone by: still watching
+      assert.equal(shown.length, 1);
+      assert.deepEqual(plain(app4.loadAlerts().map(a => a.id)), [watch.id]);
+      app4.checkAlerts(at('15:00:00'));
+      assert.equal(shown.length, 2);
+      assert.ok(shown[1].title.startsWith('43 → Dundalk IT: '));
+      app4.checkAlerts(at('15:07:01'));
+      assert.deepEqual(plain(app4.loadAlerts()), []);
+    }
+  } finally {
+    board.rt = sampleRt;
+  }
+});
+
+test('checkAlerts: the same trip on another service day is not the watched run', () => {
+  const board = evaluate(app4, 'board'), sampleRt = board.rt;
+  board.rt = lateFeed('20251118');
+  shown.length = 0;
+  try {
+    app4.addAlert({ atco: '8300B138951', trip_id: '3113_1', route: '43', headsign: 'Dundalk IT', scheduled: new Date(SCHEDULED), serviceDate: '20251119', minutes: 5 });
+    app4.checkAlerts(at('14:15:00')); // on the timetable: due, and nothing about a delay
+    assert.equal(shown.length, 1);
+    assert.ok(shown[0].title.startsWith('43 → Dundalk IT: '));
+    app4.checkAlerts(at('14:22:01'));
+    assert.deepEqual(plain(app4.loadAlerts()), []);
+  } finally {
+    board.rt = sampleRt;
+  }
+});
+
+// ----------------- the bell's form -----------------
+
+const fire = (el, type, ev = {}) => Promise.all((el.listeners[type] || []).map(fn => fn({ preventDefault(){}, stopPropagation(){}, ...ev })));
+const formIn = li => li.children.find(c => c.tagName === 'FORM');
+
+test('the bell asks for the minutes in the row and watches the run once submitted', async () => {
+  const entry = { atco: '8300B138951' };
+  const departure = { trip_id: '3113_1', route: '43', headsign: 'Dundalk IT', kind: 'scheduled', scheduled: new Date(SCHEDULED), expected: new Date(SCHEDULED) };
+  const row = { li: fakeElement('li'), departure, alertForm: null };
+  const Date_ = evaluate(app4, 'Date'), realNow = Date_.now;
+  Date_.now = () => at('14:00:00'); // submitting runs tickBoard, which drops runs gone by
+  try {
+    app4.toggleAlert(entry, row);
+    const form = formIn(row.li);
+    assert.equal(form.className, 'inline-form alert-form');
+    const select = form.children[0].children[1];
+    assert.equal(select.value, '5');
+    assert.equal(select.children.length, evaluate(app4, 'ALERT_MINUTE_CHOICES').length);
+    assert.deepEqual(plain(app4.loadAlerts()), []); // nothing until it's submitted
+
+    select.value = '10';
+    await fire(form, 'submit');
+    assert.equal(formIn(row.li), undefined);
+    const [alert] = app4.loadAlerts();
+    assert.equal(alert.id, app4.departureAlertId(entry, departure));
+    assert.equal(alert.minutes, 10);
+
+    // the bell on a watched run stops watching without asking
+    app4.toggleAlert(entry, row);
+    assert.equal(formIn(row.li), undefined);
+    assert.deepEqual(plain(app4.loadAlerts()), []);
+  } finally {
+    Date_.now = realNow;
+  }
+});
+
+test('the bell\'s form shows a refused permission inline and keeps the form', async () => {
+  const entry = { atco: '8300B138951' };
+  const row = { li: fakeElement('li'), departure: { trip_id: '3113_1', kind: 'scheduled', scheduled: new Date(SCHEDULED) }, alertForm: null };
+  FakeNotification.permission = 'default';
+  FakeNotification.requestPermission = async () => 'denied';
+  try {
+    app4.toggleAlert(entry, row);
+    const form = formIn(row.li);
+    await fire(form, 'submit');
+    assert.equal(formIn(row.li), form);
+    assert.equal(form.children.find(c => c.className === 'inline-error').textContent, app4.t('alert.denied'));
+    assert.deepEqual(plain(app4.loadAlerts()), []);
+    // cancel closes it
+    await fire(form.children.find(c => c.textContent === app4.t('common.cancel')), 'click');
+    assert.equal(formIn(row.li), undefined);
+  } finally {
+    FakeNotification.permission = 'granted';
+  }
+});
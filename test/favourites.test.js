@@ -0,0 +1,69 @@
+// test/favourites.test.js
+// Editing a favourite in the form under its card's header and a failed import shown on the page,
+// as app4.js does them with favourites.js's store; rebuildBoard is stubbed out.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, fakeElement } = require('./helpers');
+
+const APP4_SCRIPTS = ['i18n.js', 'gtfs-csv.js', 'gtfs-calendar.js', 'trip-index.js', 'stop-index.js', 'stop-facilities.js',
+  'stop-search.js', 'location-source.js', 'route-groups.js', 'stop-map.js', 'favourites.js', 'departure-alerts.js',
+  'gtfs-rt.js', 'journey.js', 'app4.js'];
+
+const app4 = loadScripts(APP4_SCRIPTS);
+let rebuilds = 0;
+app4.rebuildBoard = () => { rebuilds++; };
+
+const fire = (el, type, ev = {}) => Promise.all((el.listeners[type] || []).map(fn => fn({ preventDefault(){}, stopPropagation(){}, ...ev })));
+const feature = { properties: { AtcoCode: '8300B138951', CommonName: 'Dundalk IT' } };
+
+// a card as buildStopCard lays it out: the header, then the rest
+function card(){
+  const div = fakeElement('div');
+  const header = div.appendChild(fakeElement('div'));
+  div.appendChild(fakeElement('div'));
+  return { div, header };
+}
+
+test('Edit opens the form under the header, and Save stores the label and routes', async () => {
+  app4.toggleFavourite('8300B138951');
+  const fav = app4.loadFavourites()[0];
+  const { div, header } = card();
+  app4.editFavourite(fav, feature, header);
+  const form = div.children[1];
+  assert.equal(form.className, 'inline-form fav-form');
+  const [label, routes] = form.children.slice(0, 2).map(l => l.children[1]);
+  assert.equal(label.value, '');
+  label.value = ' Home ';
+  routes.value = '43, 101,';
+  await fire(form, 'submit');
+  assert.deepEqual(plain(app4.loadFavourites()), [{ atco: '8300B138951', label: 'Home', routes: ['43', '101'] }]);
+  assert.equal(rebuilds, 1);
+});
+
+test('Edit again or Cancel closes the form without saving', async () => {
+  const fav = app4.loadFavourites()[0];
+  const { div, header } = card();
+  app4.editFavourite(fav, feature, header);
+  assert.equal(div.children.length, 3);
+  app4.editFavourite(fav, feature, header);
+  assert.equal(div.children.length, 2);
+
+  app4.editFavourite(fav, feature, header);
+  const form = div.children[1];
+  form.children[0].children[1].value = 'Work';
+  await fire(form.children.find(c => c.textContent === app4.t('common.cancel')), 'click');
+  assert.equal(div.children.length, 2);
+  assert.equal(app4.loadFavourites()[0].label, 'Home');
+});
+
+test('a file that is not a favourites export shows why under the heading', async () => {
+  const input = app4.document.register('favourites-import', fakeElement('input'));
+  const error = app4.document.register('favourites-import-error');
+  app4.initFavouritesControls();
+  input.files = [{ text: async () => 'not json' }];
+  await fire(input, 'change');
+  assert.ok(error.textContent.startsWith(app4.t('fav.importFailed', { message: '' })));
+  assert.equal(input.value, '');
+  assert.equal(app4.loadFavourites().length, 1);
+});
@@ -0,0 +1,112 @@
+// test/gtfs-calendar.test.js
+// The service calendar (gtfs-calendar.js): calendar.txt's weekly pattern within its date range,
+// calendar_dates.txt's added and removed days over it, and scheduled departures across the
+// service-day boundary (times past 24:00 run into the next morning).
+
+process.env.TZ = 'Europe/Dublin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const cal = loadScripts(['gtfs-csv.js', 'gtfs-calendar.js']);
+const day = (y, m, d, hh = 12, mm = 0) => new Date(y, m - 1, d, hh, mm);
+
+// columns in an order of their own: the weekdays are found by name
+const CALENDAR_TXT = [
+  'end_date,service_id,sunday,saturday,friday,thursday,wednesday,tuesday,monday,start_date',
+  '20251231,WK,0,0,1,1,1,1,1,20251101',      // weekdays, November and December 2025
+  '20251231,SUN,1,0,0,0,0,0,0,20251101'
+].join('\n');
+const CALENDAR_DATES_TXT = [
+  'service_id,date,exception_type',
+  'WK,20251225,2',   // no weekday service on Christmas Day (a Thursday)
+  'SUN,20251225,1',  // Sunday service instead
+  'SUN,20260104,1',  // added after the range ends
+  'WK,20251105,3',   // not an exception type: ignored
+  'WK,2025-11-06,2'  // malformed date: ignored
+].join('\n');
+const calendar = cal.buildServiceCalendar(cal.parseCSV(CALENDAR_TXT), cal.parseCSV(CALENDAR_DATES_TXT));
+const runs = (id, date) => cal.serviceRunsOn(calendar, id, date);
+
+test('the weekly pattern comes from the named weekday columns', () => {
+  assert.deepEqual(plain(calendar.services.get('WK').days), [false, true, true, true, true, true, false]);
+  assert.equal(runs('WK', day(2025, 11, 19)), true);  // Wednesday
+  assert.equal(runs('WK', day(2025, 11, 22)), false); // Saturday
+  assert.equal(runs('SUN', day(2025, 11, 23)), true);
+  assert.equal(runs('NOPE', day(2025, 11, 19)), false);
+});
+
+test('start_date and end_date bound the pattern, both days included', () => {
+  assert.equal(runs('WK', day(2025, 10, 31)), false); // Friday before the start
+  assert.equal(runs('WK', day(2025, 11, 3)), true);
+  assert.equal(runs('WK', day(2025, 12, 31)), true);  // Wednesday, the last day
+  assert.equal(runs('WK', day(2026, 1, 1)), false);   // Thursday after the end
+});
+
+test('exceptions win over the pattern and the date range', () => {
+  assert.equal(runs('WK', day(2025, 12, 25)), false); // removed
+  assert.equal(runs('SUN', day(2025, 12, 25)), true); // added on a Thursday
+  assert.equal(runs('SUN', day(2026, 1, 4)), true);   // added outside start/end
+  assert.equal(runs('SUN', day(2026, 1, 11)), false);
+  // bad rows are skipped, not applied
+  assert.equal(runs('WK', day(2025, 11, 5)), true);
+  assert.equal(runs('WK', day(2025, 11, 6)), true);
+});
+
+test('nextServiceDate skips removed days and gives up past the range', () => {
+  const key = d => d && cal.gtfsDateKey(d);
+  assert.equal(key(cal.nextServiceDate(calendar, 'WK', day(2025, 12, 25))), '20251226');
+  assert.equal(key(cal.nextServiceDate(calendar, 'WK', day(2025, 11, 22))), '20251124');
+  assert.equal(key(cal.nextServiceDate(calendar, 'SUN', day(2025, 12, 29))), '20260104');
+  assert.equal(cal.nextServiceDate(calendar, 'WK', day(2026, 1, 1)), null);
+  assert.equal(cal.nextServiceDate(calendar, 'SUN', day(2025, 12, 29), 3), null); // lookahead too short
+});
+
+test('gtfsTimeToSeconds reads times past 24:00 and rejects the rest', () => {
+  assert.equal(cal.gtfsTimeToSeconds('14:20:00'), 51600);
+  assert.equal(cal.gtfsTimeToSeconds(' 7:05:30 '), 25530);
+  assert.equal(cal.gtfsTimeToSeconds('25:10:00'), 90600);
+  assert.equal(cal.gtfsTimeToSeconds('09:15'), 33300);
+  for(const bad of ['', null, '9.15', '25:1:00', 'noon']) assert.equal(cal.gtfsTimeToSeconds(bad), null, String(bad));
+  // on its service day, 25:10 is ten past one the next morning
+  assert.equal(cal.serviceTimeToDate(day(2025, 11, 19), 90600).getTime(), day(2025, 11, 20, 1, 10).getTime());
+});
+
+test('scheduledDepartures: a 25:10 trip of the day before still runs after midnight', () => {
+  const rows = [
+    { trip_id: 'late', arrival_time: '25:10:00' },
+    { trip_id: 'early', arrival_time: '06:30:00' },
+    { trip_id: 'sunday', arrival_time: '08:00:00' }
+  ];
+  const tripMap = { late: 'WK', early: 'WK', sunday: 'SUN' };
+  // Thursday 20 Nov, 00:50: Wednesday's 25:10 is at 01:10 today; today's own is tomorrow morning,
+  // and tomorrow's the morning after
+  const deps = cal.scheduledDepartures(rows, tripMap, calendar, day(2025, 11, 20, 0, 50));
+  assert.deepEqual(plain(deps.map(d => [d.trip_id, d.serviceDate, d.scheduled.toISOString()])), [
+    ['late', '20251119', '2025-11-20T01:10:00.000Z'],
+    ['early', '20251120', '2025-11-20T06:30:00.000Z'],
+    ['late', '20251120', '2025-11-21T01:10:00.000Z'],
+    ['early', '20251121', '2025-11-21T06:30:00.000Z'],
+    ['late', '20251121', '2025-11-22T01:10:00.000Z']
+  ]);
+  // Saturday's 25:10 doesn't run (WK is weekdays): nothing early on Sunday but Sunday's own trip
+  const sunday = cal.scheduledDepartures(rows, tripMap, calendar, day(2025, 11, 23, 0, 50));
+  assert.deepEqual(plain(sunday.map(d => [d.trip_id, d.serviceDate])), [['sunday', '20251123'], ['early', '20251124'], ['late', '20251124']]);
+});
+
+test('scheduledDepartures keeps a departure graceMs after its time, and no longer', () => {
+  const rows = [{ trip_id: 'early', arrival_time: '06:30:00' }];
+  const at = (now, graceMs) => plain(cal.scheduledDepartures(rows, { early: 'WK' }, calendar, now, { graceMs }).map(d => d.serviceDate));
+  assert.deepEqual(at(day(2025, 11, 19, 6, 31), 60000), ['20251119', '20251120']);
+  assert.deepEqual(at(day(2025, 11, 19, 6, 32), 60000), ['20251120']);
+  assert.deepEqual(at(day(2025, 11, 19, 6, 45), 30 * 60000), ['20251119', '20251120']);
+  // Christmas Eve evening: today's has gone and tomorrow's is removed
+  assert.deepEqual(at(day(2025, 12, 24, 23, 0), 60000), []);
+});
+
+test('scheduledDepartures stops at `limit`', () => {
+  const rows = ['06:00:00', '07:00:00', '08:00:00'].map((arrival_time, i) => ({ trip_id: `t${i}`, arrival_time }));
+  const tripMap = { t0: 'WK', t1: 'WK', t2: 'WK' };
+  assert.equal(cal.scheduledDepartures(rows, tripMap, calendar, day(2025, 11, 19, 5), { limit: 2 }).length, 2);
+});
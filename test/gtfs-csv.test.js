@@ -0,0 +1,92 @@
+// test/gtfs-csv.test.js
+// The CSV reader (gtfs-csv.js): RFC 4180 quoting, CRLF and BOM on small inputs split at every
+// point, then the real trips.txt.gz streamed through pako in chunks against the whole file parsed at once.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { loadScripts, plain, readFixture } = require('./helpers');
+
+const gz = readFixture('trips.txt.gz');
+const csv = loadScripts(['pako.min.js', 'gtfs-csv.js'], {
+  fetch: async () => new Response(gz)
+});
+
+// feed `text` to a streaming parser in the pieces `cuts` marks
+function parseInPieces(text, cuts){
+  const rows = [];
+  const parser = csv.createCsvParser(row => rows.push(row));
+  let from = 0;
+  for(const cut of [...cuts, text.length]){
+    parser.push(text.slice(from, cut));
+    from = cut;
+  }
+  parser.end();
+  return plain(rows);
+}
+
+const TRICKY = '\uFEFFtrip_id,trip_headsign,trip_short_name\r\n' +
+  '3113_1,"Dundalk IT, stop 138951",1.Mo-Fr\r\n' +
+  '\r\n' +
+  '3113_2,"The ""Long"" Walk",\r\n' +
+  '3113_3,"two\r\nlines",x\r\n' +
+  '3113_4,"",y';
+
+const EXPECTED = [
+  { trip_id: '3113_1', trip_headsign: 'Dundalk IT, stop 138951', trip_short_name: '1.Mo-Fr' },
+  { trip_id: '3113_2', trip_headsign: 'The "Long" Walk', trip_short_name: '' },
+  { trip_id: '3113_3', trip_headsign: 'two\r\nlines', trip_short_name: 'x' },
+  { trip_id: '3113_4', trip_headsign: '', trip_short_name: 'y' }
+];
+
+test('quoted commas, doubled quotes and newlines in quotes; no CRLF or BOM in keys or values', () => {
+  assert.deepEqual(plain(csv.parseCSV(TRICKY)), EXPECTED);
+});
+
+test('a missing trailing field is empty and extra fields are ignored', () => {
+  assert.deepEqual(plain(csv.parseCSV('a,b\n1\n2,3,4\n')), [{ a: '1', b: '' }, { a: '2', b: '3' }]);
+});
+
+test('any single split gives the same rows as the whole text', () => {
+  for(let cut = 0; cut <= TRICKY.length; cut++){
+    assert.deepEqual(parseInPieces(TRICKY, [cut]), EXPECTED, `split at ${cut}: ${JSON.stringify(TRICKY.slice(Math.max(0, cut - 3), cut + 3))}`);
+  }
+});
+
+test('a doubled quote split across chunks is still one quote', () => {
+  const at = TRICKY.indexOf('""Long') + 1; // between the two quotes
+  assert.deepEqual(parseInPieces(TRICKY, [at]), EXPECTED);
+  // one character at a time
+  assert.deepEqual(parseInPieces(TRICKY, [...TRICKY].map((_, i) => i)), EXPECTED);
+});
+
+test('streamGzipCSV over trips.txt.gz gives the rows parseCSV gives for the whole file', async () => {
+  const whole = csv.parseCSV(zlib.gunzipSync(gz).toString('utf8'));
+  const streamed = [];
+  // an odd chunk size, so chunks end mid-record, mid-quote and mid-UTF-8 sequence
+  const count = await csv.streamGzipCSV('trips.txt.gz', row => streamed.push(row), 4093);
+  assert.equal(count, whole.length);
+  assert.equal(streamed.length, whole.length);
+  for(let i = 0; i < whole.length; i++){
+    const a = JSON.stringify(streamed[i]), b = JSON.stringify(whole[i]);
+    if(a !== b) assert.fail(`row ${i} differs: ${a} vs ${b}`); // one deepEqual over 180k rows is slow
+  }
+
+  const byTrip = id => streamed.find(r => r.trip_id === id);
+  assert.equal(byTrip('3113_1').trip_headsign, 'Dundalk IT, stop 138951');
+  assert.equal(byTrip('3113_1').trip_short_name, '1.Mo-Fr.43-DK0-5-y11');
+  assert.equal(byTrip('3113_2').trip_headsign, 'Dún an Ri Forest Park');
+  assert.equal(byTrip('4836_1').trip_headsign, 'Dundalk IT');
+  assert.ok(!streamed.some(r => r.shape_id.endsWith('\r')), 'the file is CRLF; no \\r on the last column');
+  assert.deepEqual(plain(Object.keys(streamed[0])), ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'trip_short_name', 'direction_id', 'block_id', 'shape_id']);
+});
+
+test('streamGzipCSV without a readable body falls back to the whole response', async () => {
+  const noBody = loadScripts(['pako.min.js', 'gtfs-csv.js'], {
+    fetch: async () => ({ ok: true, body: null, arrayBuffer: async () => gz.buffer.slice(gz.byteOffset, gz.byteOffset + gz.length) })
+  });
+  let last = null;
+  const count = await noBody.streamGzipCSV('trips.txt.gz', row => { last = row; }, 65521);
+  assert.equal(count, 180362); // trips.txt: a header and 180362 trips
+  assert.ok(last.trip_id);
+});
@@ -0,0 +1,87 @@
+// test/gtfs-rt.test.js
+// The protobuf decoder (gtfs-rt.js) against the checked-in sample feed, gtfs-rt-sample.pb,
+// which tools/build-rt-sample.js builds from gtfs-rt-sample.json.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, readFixture } = require('./helpers');
+const { encodeFeedMessage } = require('../tools/build-rt-sample');
+
+const ctx = loadScripts(['gtfs-rt.js']);
+const pb = readFixture('gtfs-rt-sample.pb');
+const source = JSON.parse(readFixture('gtfs-rt-sample.json'));
+const feed = plain(ctx.decodeFeedMessage(pb));
+const entity = id => feed.entity.find(e => e.id === id);
+
+test('the sample .pb is what its JSON source encodes to', () => {
+  assert.ok(encodeFeedMessage(source).equals(pb), 'run node tools/build-rt-sample.js after editing gtfs-rt-sample.json');
+});
+
+test('header', () => {
+  assert.deepEqual(feed.header, { gtfsRealtimeVersion: '2.0', incrementality: 'FULL_DATASET', timestamp: 1763560800 });
+  assert.deepEqual(feed.entity.map(e => e.id), ['T1', 'T2', 'T3', 'V1', 'A1']);
+});
+
+test('trip update with its trip, vehicle and stop time updates', () => {
+  const tu = entity('T1').tripUpdate;
+  assert.deepEqual(tu.trip, {
+    tripId: '3113_1', startTime: '14:00:00', startDate: '20251119', scheduleRelationship: 'SCHEDULED', routeId: '3113_32198'
+  });
+  assert.deepEqual(tu.vehicle, { id: 'V1043' });
+  assert.equal(tu.timestamp, 1763560800);
+  assert.equal(tu.stopTimeUpdate.length, 4);
+  // a negative delay is a sign-extended 10-byte varint on the wire
+  assert.deepEqual(tu.stopTimeUpdate[0], {
+    stopSequence: 12, stopId: '8300B139911',
+    arrival: { delay: -60, time: 1763561340 }, departure: { delay: -60, time: 1763561360 }
+  });
+  assert.deepEqual(tu.stopTimeUpdate[1], { stopSequence: 20, stopId: '8300B138951', arrival: { delay: 120, time: 1763562120 } });
+  assert.deepEqual(tu.stopTimeUpdate.slice(2).map(u => u.scheduleRelationship), ['SKIPPED', 'NO_DATA']);
+});
+
+test('vehicle position', () => {
+  const vp = entity('V1').vehicle;
+  assert.deepEqual(vp.trip, { tripId: '3113_1', routeId: '3113_32198' });
+  assert.deepEqual(vp.vehicle, { id: 'V1043', label: '43' });
+  // floats on the wire: float32 precision
+  assert.ok(Math.abs(vp.position.latitude - 54.0102) < 1e-5);
+  assert.ok(Math.abs(vp.position.longitude + 6.4031) < 1e-5);
+  assert.equal(vp.position.bearing, 190);
+  assert.equal(vp.position.speed, 8.5);
+  assert.equal(vp.currentStopSequence, 11);
+  assert.equal(vp.currentStatus, 'IN_TRANSIT_TO');
+  assert.equal(vp.stopId, '8300B139911');
+  assert.equal(vp.timestamp, 1763560780);
+});
+
+test('alert with periods, informed entities, enums and translations', () => {
+  const alert = entity('A1').alert;
+  assert.deepEqual(alert.activePeriod, [{ start: 1763557200, end: 1763647200 }]);
+  assert.deepEqual(alert.informedEntity, [{ stopId: '8300B1070101' }, { routeId: '3113_32198' }]);
+  assert.equal(alert.cause, 'CONSTRUCTION');
+  assert.equal(alert.effect, 'DETOUR');
+  assert.equal(alert.severityLevel, 'WARNING');
+  assert.deepEqual(alert.headerText.translation, [
+    { text: 'Dundalk IT stop closed', language: 'en' },
+    { text: 'Stad IT Dhún Dealgan dúnta', language: 'ga' } // UTF-8
+  ]);
+});
+
+test('the internal model is the same from the .pb and from its protobuf JSON', () => {
+  const fromPb = plain(ctx.toRealtimeModel(pb));
+  const fromJson = plain(ctx.toRealtimeModel(source));
+  assert.deepEqual(fromPb.arrivals, fromJson.arrivals);
+  assert.deepEqual(fromPb.alerts, fromJson.alerts);
+  assert.equal(fromPb.vehicles.length, 1);
+  assert.equal(fromPb.vehicles[0].trip_id, fromJson.vehicles[0].trip_id);
+});
+
+test('a truncated feed is an error, not a partial result', () => {
+  assert.throws(() => ctx.decodeFeedMessage(pb.subarray(0, pb.length - 5)), /GTFS-RT: (truncated|malformed)/);
+});
+
+test('unknown fields are skipped', () => {
+  // field 99 (varint 1) ahead of the header
+  const bytes = Buffer.concat([Buffer.from([0x98, 0x06, 0x01]), pb]);
+  assert.deepEqual(plain(ctx.decodeFeedMessage(bytes)), feed);
+});
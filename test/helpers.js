@@ -0,0 +1,111 @@
+// test/helpers.js
+// The pages are classic <script>s sharing globals, so tests load them the same way: each file is
+// run into one vm context, in page order, with just enough of a browser around them.
+// Run the tests with: node --test test/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+// in-memory localStorage
+function memoryStorage(){
+  const items = new Map();
+  return {
+    getItem: k => items.has(k) ? items.get(k) : null,
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: k => items.delete(k)
+  };
+}
+
+// Elements with the little of the DOM the card code uses (children, classes, text, listeners)
+function fakeElement(tagName){
+  const el = {
+    tagName: tagName.toUpperCase(), children: [], parentNode: null, attributes: {},
+    className: '', textContent: '', hidden: false, style: {}, listeners: {},
+    appendChild(child){ return el.insertBefore(child, null); },
+    insertBefore(child, ref){
+      if(child.parentNode) child.remove();
+      const i = ref ? el.children.indexOf(ref) : -1;
+      if(i < 0) el.children.push(child);
+      else el.children.splice(i, 0, child);
+      child.parentNode = el;
+      return child;
+    },
+    remove(){
+      if(!el.parentNode) return;
+      const siblings = el.parentNode.children;
+      siblings.splice(siblings.indexOf(el), 1);
+      el.parentNode = null;
+    },
+    setAttribute(k, v){ el.attributes[k] = String(v); },
+    getAttribute(k){ return k in el.attributes ? el.attributes[k] : null; },
+    addEventListener(type, fn){ (el.listeners[type] = el.listeners[type] || []).push(fn); },
+    focus(){}, select(){},
+    querySelectorAll: () => [],
+    classList: {
+      contains: c => el.className.split(/\s+/).includes(c),
+      add: c => { if(!el.classList.contains(c)) el.className = `${el.className} ${c}`.trim(); },
+      remove: c => { el.className = el.className.split(/\s+/).filter(x => x && x !== c).join(' '); },
+      toggle: (c, on = !el.classList.contains(c)) => { on ? el.classList.add(c) : el.classList.remove(c); return on; }
+    }
+  };
+  Object.defineProperty(el, 'nextElementSibling', {
+    get(){ return el.parentNode ? el.parentNode.children[el.parentNode.children.indexOf(el) + 1] || null : null; }
+  });
+  Object.defineProperty(el, 'innerHTML', { set(){ el.children.slice().forEach(c => c.remove()); el.textContent = ''; } });
+  return el;
+}
+
+// all the text under an element, as a reader would see it
+function textOf(el){
+  return el.hidden ? '' : el.textContent + el.children.map(textOf).join('');
+}
+
+function fakeDocument(){
+  const byId = new Map();
+  return {
+    hidden: false,
+    createElement: fakeElement,
+    createTextNode: text => Object.assign(fakeElement('#text'), { textContent: text }),
+    getElementById: id => byId.get(id) || null,
+    addEventListener(){},
+    querySelectorAll: () => [],
+    // tests register the page's fixed elements they need
+    register(id, el = fakeElement('div')){ byId.set(id, el); return el; }
+  };
+}
+
+// Run `files` (paths from the repo root) into a fresh context; `globals` adds to or overrides the browser stand-ins
+function loadScripts(files, globals = {}){
+  const ctx = vm.createContext({
+    console, TextDecoder, TextEncoder, URLSearchParams, URL, Uint8Array, ArrayBuffer, DataView,
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    location: { search: '', pathname: '/index4.html', origin: 'http://localhost' },
+    localStorage: memoryStorage(),
+    navigator: {},
+    document: fakeDocument(),
+    performance: { now: () => 0 },
+    ...globals
+  });
+  ctx.window = ctx;
+  for(const file of files) vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), ctx, { filename: file });
+  return ctx;
+}
+
+// value of an expression in the context (top-level consts aren't context properties)
+function evaluate(ctx, expr){
+  return vm.runInContext(expr, ctx);
+}
+
+// objects from the context have its prototypes: compare them as plain JSON data
+function plain(value){
+  return JSON.parse(JSON.stringify(value));
+}
+
+function readFixture(file){
+  return fs.readFileSync(path.join(root, file));
+}
+
+module.exports = { root, loadScripts, evaluate, plain, readFixture, fakeElement, fakeDocument, textOf, memoryStorage };
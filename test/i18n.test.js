@@ -0,0 +1,22 @@
+// test/i18n.test.js
+// Every English string (i18n.js) has an Irish one taking the same {placeholders}, so t() never falls
+// back to English or leaves a {name} unfilled on an Irish page.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, evaluate, plain } = require('./helpers');
+
+const STRINGS = plain(evaluate(loadScripts(['i18n.js']), 'STRINGS'));
+const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test('ga has exactly the en keys', () => {
+  assert.deepEqual(Object.keys(STRINGS.ga).sort(), Object.keys(STRINGS.en).sort());
+  for(const list of ['compass', 'weekdays', 'months']) assert.equal(STRINGS.ga[list].length, STRINGS.en[list].length, list);
+});
+
+test('each ga string takes the placeholders its en string does', () => {
+  for(const [key, en] of Object.entries(STRINGS.en)){
+    if(typeof en !== 'string' || !(key in STRINGS.ga)) continue; // name lists (compass, weekdays, months); missing keys fail above
+    assert.deepEqual(placeholders(STRINGS.ga[key]), placeholders(en), key);
+  }
+});
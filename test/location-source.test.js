@@ -0,0 +1,44 @@
+// test/location-source.test.js
+// Stop deep links (location-source.js): the link keeps the page's other options, and the copy button
+// shows the link in the card when the clipboard can't take it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, fakeElement } = require('./helpers');
+
+const feature = { properties: { AtcoCode: '8300B138951' } };
+const page = clipboard => loadScripts(['i18n.js', 'location-source.js'], {
+  location: { search: '?data=build/&stop=8300B100010&lat=54&lon=-6.4', pathname: '/index4.html', origin: 'http://localhost' },
+  navigator: clipboard ? { clipboard } : {}
+});
+const click = btn => Promise.all(btn.listeners.click.map(fn => fn({})));
+
+test('stopLink swaps the stop and drops a picked location, keeping the other options', () => {
+  assert.equal(page().stopLink(feature), 'http://localhost/index4.html?data=build%2F&stop=8300B138951');
+});
+
+test('with a clipboard the button copies the link and says so', async () => {
+  const copied = [];
+  const app = page({ writeText: async text => { copied.push(text); } });
+  const header = fakeElement('div');
+  const btn = header.appendChild(app.buildCopyLinkButton(feature));
+  await click(btn);
+  assert.deepEqual(copied, [app.stopLink(feature)]);
+  assert.equal(btn.textContent, app.t('card.copied'));
+  assert.equal(header.children.length, 1);
+});
+
+test('without one the link is shown read-only after the button, once however often it is pressed', async () => {
+  const app = page(null);
+  const header = fakeElement('div');
+  const btn = header.appendChild(app.buildCopyLinkButton(feature));
+  header.appendChild(fakeElement('a'));
+  await click(btn);
+  await click(btn);
+  assert.equal(header.children.length, 3);
+  const field = header.children[1];
+  assert.equal(field.className, 'copy-link-url');
+  assert.equal(field.readOnly, true);
+  assert.equal(field.value, app.stopLink(feature));
+  assert.equal(btn.textContent, app.t('card.copyLink'));
+});
@@ -0,0 +1,189 @@
+// test/realtime-states.test.js
+// Cancelled, skipped, no-data and added trips from the sample feed (gtfs-rt-sample.json) through
+// to what the boards show: app4.js's merged rows and app2.js's realtime-only list.
+
+process.env.TZ = 'Europe/Dublin'; // timetable times are local; the sample feed is 19 Nov 2025 around 14:00
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, evaluate, plain, readFixture, fakeElement, textOf } = require('./helpers');
+
+const APP4_SCRIPTS = ['i18n.js', 'gtfs-csv.js', 'gtfs-calendar.js', 'trip-index.js', 'stop-index.js', 'stop-facilities.js',
+  'stop-search.js', 'location-source.js', 'route-groups.js', 'stop-map.js', 'favourites.js', 'departure-alerts.js',
+  'gtfs-rt.js', 'journey.js', 'app4.js'];
+const APP2_SCRIPTS = ['i18n.js', 'stop-index.js', 'stop-search.js', 'stop-facilities.js', 'location-source.js', 'gtfs-rt.js', 'app2.js'];
+
+const pb = readFixture('gtfs-rt-sample.pb');
+const NOW = new Date(1763560800000); // the feed's header timestamp, 14:00
+
+const app4 = loadScripts(APP4_SCRIPTS);
+const t = key => app4.t(key);
+const arrivals = app4.toRealtimeModel(pb).arrivals;
+const record = (trip_id, stop_id) => plain(arrivals.find(a => a.trip_id === trip_id && a.stop_id === stop_id));
+
+test('feed records keep each state', () => {
+  const cancelled = plain(arrivals.filter(a => a.trip_id === '3113_2'));
+  assert.equal(cancelled.length, 1); // no stop updates: one trip-level record
+  assert.equal(cancelled[0].stop_id, null);
+  assert.equal(cancelled[0].tripRelationship, 'CANCELED');
+  assert.deepEqual([...app4.cancelledTripIds(arrivals)], ['3113_2']);
+
+  const skipped = record('3113_1', '8300B1070101');
+  assert.equal(skipped.stopRelationship, 'SKIPPED');
+  assert.equal(skipped.arrivalTimestamp, null);
+
+  // NO_DATA: no prediction, and the trip-level delay isn't lent to it either
+  const noData = record('3113_1', '8300B139921');
+  assert.equal(noData.stopRelationship, 'NO_DATA');
+  assert.equal(noData.arrivalTimestamp, null);
+  assert.equal(noData.delaySeconds, null);
+
+  const added = record('ADDED_43_1', '8300B138951');
+  assert.equal(added.tripRelationship, 'ADDED');
+  assert.equal(added.arrivalTimestamp, 1763562600000);
+});
+
+test('worker JSON flags map to the same states', () => {
+  const [c, s] = plain(app4.toRealtimeModel({ arrivals: [
+    { trip_id: 'a', stop_id: 'X', cancelled: true },
+    { trip_id: 'b', stop_id: 'X', skipped: true }
+  ] }).arrivals);
+  assert.equal(c.tripRelationship, 'CANCELED');
+  assert.equal(s.stopRelationship, 'SKIPPED');
+});
+
+// ----------------- app4.js -----------------
+
+const calendar = app4.buildServiceCalendar([{ service_id: 'WK', monday: '1', tuesday: '1', wednesday: '1', thursday: '1',
+  friday: '1', saturday: '1', sunday: '1', start_date: '20250101', end_date: '20261231' }], []);
+const mapping = { calendar, tripMap: { '3113_1': 'WK', '3113_2': 'WK' } };
+
+// a board entry with the stop's timetable rows, as buildStopCard + ensureStopSchedule leave it
+function boardEntry(atco, schedule){
+  return {
+    atco, routes: [], schedule, tripIndex: new Map(schedule.map(r => [r.trip_id, r])),
+    list: fakeElement('ul'), groups: new Map(), rows: new Map()
+  };
+}
+
+function render(atco, schedule){
+  const entry = boardEntry(atco, schedule);
+  const departures = app4.mergeDepartures(entry, arrivals.filter(a => a.stop_id === atco), mapping, app4.cancelledTripIds(arrivals), NOW);
+  evaluate(app4, 'syncRows')(entry, departures);
+  const rows = [...entry.rows.values()];
+  return { departures, row: trip_id => rows.find(r => r.departure.trip_id === trip_id) };
+}
+
+const row43 = (trip_id, time) => ({ trip_id, arrival_time: time, route_short: '43', trip_headsign: 'Dundalk IT' });
+
+test('app4: a cancelled trip stays on the board, struck through, without countdown or alert bell', () => {
+  const { row } = render('8300B138951', [row43('3113_1', '14:20:00'), row43('3113_2', '14:30:00')]);
+  const r = row('3113_2');
+  assert.equal(r.li.className, 'dep dep-cancelled');
+  assert.equal(r.kind.textContent, t('kind.cancelled'));
+  assert.equal(textOf(r.label), `${app4.t('dep.scheduled', { time: '14:30' })} | ${t('dep.cancelled')}`);
+  assert.equal(r.expected, null);
+  assert.equal(r.bell.hidden, true);
+  assert.match(readFixture('index4.html').toString(), /li\.dep-cancelled \.label \{[^}]*line-through/);
+});
+
+test('app4: a live trip gets its prediction next to the timetable time', () => {
+  const { row } = render('8300B138951', [row43('3113_1', '14:20:00')]);
+  const r = row('3113_1');
+  assert.equal(r.li.className, 'dep dep-live');
+  assert.equal(textOf(r.label), `${app4.t('dep.scheduled', { time: '14:20' })} | ${app4.t('dep.realtime', { time: '14:22' })}`);
+});
+
+test('app4: a skipped stop shows the trip as not stopping, greyed, with no countdown', () => {
+  const { row } = render('8300B1070101', [row43('3113_1', '14:20:00')]);
+  const r = row('3113_1');
+  assert.equal(r.li.className, 'dep dep-skipped');
+  assert.equal(r.kind.textContent, t('kind.skipped'));
+  assert.ok(textOf(r.label).endsWith(t('dep.skipped')));
+  assert.equal(r.expected, null);
+  assert.match(readFixture('index4.html').toString(), /li\.dep-skipped \.label \{[^}]*color/);
+});
+
+test('app4: NO_DATA leaves the timetable time standing', () => {
+  const { row } = render('8300B139921', [row43('3113_1', '14:25:00')]);
+  const r = row('3113_1');
+  assert.equal(r.li.className, 'dep dep-scheduled');
+  assert.equal(textOf(r.label), app4.t('dep.scheduled', { time: '14:25' }));
+  assert.equal(r.expected.getTime(), new Date('2025-11-19T14:25:00Z').getTime());
+});
+
+test('app4: an added trip the timetable lacks is shown from the feed alone', () => {
+  const { departures, row } = render('8300B138951', []);
+  // 3113_1 isn't in this (empty) timetable either, so it is realtime-only
+  assert.deepEqual(plain(departures.map(d => [d.kind, d.trip_id])), [['rt-only', '3113_1'], ['added', 'ADDED_43_1']]);
+  const r = row('ADDED_43_1');
+  assert.equal(r.li.className, 'dep dep-added');
+  assert.equal(r.kind.textContent, t('kind.added'));
+  assert.equal(r.expected.getTime(), 1763562600000);
+});
+
+test('app4: of two updates of a card in flight at once, the later one draws it', async () => {
+  const schedule = [row43('3113_1', '14:20:00')];
+  const entry = Object.assign(boardEntry('8300B138951', schedule), {
+    s: {}, div: fakeElement('div'), note: fakeElement('div'), stale: fakeElement('div'), closedBadge: fakeElement('span'),
+    alertsDiv: fakeElement('div'), alertsKey: null, servedRoutes: new Set(), update: null
+  });
+  // the trip index answers each lookup when the test says so
+  const lookups = [];
+  const slow = { ...mapping, trips: { lookup: () => new Promise(resolve => lookups.push(resolve)) } };
+  const rt = { byStop: app4.buildRtStopMap(arrivals), byTrip: app4.buildRtTripMap(arrivals), cancelled: app4.cancelledTripIds(arrivals), vehicles: new Map() };
+  // mergeDepartures takes `new Date()` as now
+  const RealDate = evaluate(app4, 'Date');
+  app4.Date = class extends RealDate {
+    constructor(...args){ super(...(args.length ? args : [NOW.getTime()])); }
+    static now(){ return NOW.getTime(); }
+  };
+  try {
+    const offline = app4.updateStopCard(entry, null, slow); // a redraw from before the poll
+    const live = app4.updateStopCard(entry, rt, slow);       // the poll's
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(lookups.length, 2);
+    lookups[1]();
+    await live;
+    lookups[0]();
+    await offline;
+  } finally {
+    app4.Date = RealDate;
+  }
+  const r = [...entry.rows.values()][0];
+  assert.equal(r.li.className, 'dep dep-live');
+  assert.equal(entry.note.textContent, '');
+});
+
+// ----------------- app2.js -----------------
+
+const app2 = loadScripts(APP2_SCRIPTS);
+const a2 = app2.toRealtimeModel(pb).arrivals;
+
+test('app2: skipped rows are greyed with their own label; NO_DATA rows are left out', () => {
+  const skipped = plain(app2.getArrivalsForStop('8300B1070101', a2));
+  assert.deepEqual(skipped.map(a => a.status), ['skipped']);
+  const li = app2.buildArrivalItem(skipped[0]);
+  assert.equal(li.className, 'skipped');
+  assert.equal(li.textContent, app2.t('arrival.skipped', { route: '3113_32198', headsign: '' }));
+  assert.deepEqual(plain(app2.getArrivalsForStop('8300B139921', a2)), []);
+});
+
+test('app2: added trips are marked, live ones show their time', () => {
+  const rows = plain(app2.getArrivalsForStop('8300B138951', a2));
+  assert.deepEqual(rows.map(a => [a.status, a.arrival_time]), [['scheduled', '14:22'], ['added', '14:30']]);
+  assert.ok(app2.buildArrivalItem(rows[1]).textContent.endsWith(app2.t('arrival.added')));
+});
+
+test('app2: a trip cancelled anywhere is struck through at every stop it lists', () => {
+  const feed = app2.toRealtimeModel({ arrivals: [
+    { trip_id: '3113_2', stop_id: '8300B138951', arrivalTimestamp: 1763562600 },
+    { trip_id: '3113_2', cancelled: true }
+  ] }).arrivals;
+  const [row] = plain(app2.getArrivalsForStop('8300B138951', feed));
+  assert.equal(row.status, 'cancelled');
+  const li = app2.buildArrivalItem(row);
+  assert.equal(li.className, 'cancelled');
+  assert.ok(li.textContent.endsWith(app2.t('arrival.cancelled')));
+  assert.match(readFixture('index2.html').toString(), /li\.cancelled \{[^}]*line-through/);
+});
@@ -0,0 +1,54 @@
+// test/stop-facilities.test.js
+// The accessibility filter (stop-facilities.js): which stops pass ?access=, and the checkboxes that
+// set it on index.html and index2.html.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, fakeElement } = require('./helpers');
+
+const page = (search, replaced = []) => loadScripts(['i18n.js', 'stop-index.js', 'stop-facilities.js'], {
+  location: { search, pathname: '/index.html', origin: 'http://localhost' },
+  history: { replaceState: (state, title, url) => replaced.push(url) }
+});
+
+function accessForm(){
+  const form = fakeElement('form');
+  const boxes = ['wheelchair', 'stepfree'].map(value => Object.assign(fakeElement('input'), { name: 'access', type: 'checkbox', value, checked: false }));
+  form.querySelectorAll = selector => selector === 'input[name="access"]' ? boxes : [];
+  return { form, boxes };
+}
+const fire = (el, type, ev = {}) => (el.listeners[type] || []).forEach(fn => fn(ev));
+
+test('stopMatchesAccess: only surveyed stops pass a filter, and must pass each one', () => {
+  const app = page('');
+  const stop = { IsSurveyed: '1', WheelchairAccessibility: 'True', StepAtStop: 'True' };
+  assert.equal(app.stopMatchesAccess(stop, []), true);
+  assert.equal(app.stopMatchesAccess(stop, ['wheelchair']), true);
+  assert.equal(app.stopMatchesAccess(stop, ['wheelchair', 'stepfree']), false);
+  assert.equal(app.stopMatchesAccess({ ...stop, IsSurveyed: '0' }, ['wheelchair']), false);
+  assert.equal(app.stopMatchesAccess({ IsSurveyed: '0' }, []), true);
+});
+
+test('initAccessFilter ticks the boxes from ?access= and writes changes back to the URL', () => {
+  const replaced = [];
+  let renders = 0;
+  const app = page('?stop=8300B138951&access=stepfree', replaced);
+  const { form, boxes } = accessForm();
+  app.initAccessFilter(form, () => renders++);
+  assert.deepEqual(boxes.map(b => b.checked), [false, true]);
+
+  boxes[0].checked = true;
+  fire(form, 'change');
+  assert.deepEqual(replaced, ['/index.html?stop=8300B138951&access=wheelchair%2Cstepfree']);
+  assert.equal(renders, 1);
+
+  boxes[0].checked = boxes[1].checked = false;
+  fire(form, 'change');
+  assert.equal(replaced[1], '/index.html?stop=8300B138951');
+  assert.equal(renders, 2);
+
+  let prevented = false;
+  fire(form, 'submit', { preventDefault: () => { prevented = true; } });
+  assert.ok(prevented);
+  assert.doesNotThrow(() => app.initAccessFilter(null, () => renders++)); // a page without the form
+});
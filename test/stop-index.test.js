@@ -0,0 +1,88 @@
+// test/stop-index.test.js
+// The grid stop index (stop-index.js) over the real stops.geojson.gz against a scan of every stop:
+// k-nearest and radius queries at a stop, on cell edges, out at sea and beyond what the index covers,
+// plus the ?k= / ?radius= / ?access= options. tools/bench-stop-index.js times the same comparison.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { loadScripts, evaluate, plain, readFixture } = require('./helpers');
+
+const idx = loadScripts(['stop-index.js']);
+const features = JSON.parse(zlib.gunzipSync(readFixture('stops.geojson.gz'))).features;
+const index = idx.buildStopIndex(features);
+const placed = features
+  .map(feature => ({ feature, lat: parseFloat(feature.properties.Latitude), lon: parseFloat(feature.properties.Longitude) }))
+  .filter(s => !isNaN(s.lat) && !isNaN(s.lon));
+
+function scan(lat, lon, filter){
+  return placed.filter(s => !filter || filter(s.feature))
+    .map(s => ({ atco: s.feature.properties.AtcoCode, distance: Math.round(idx.greatCircleMetres(lat, lon, s.lat, s.lon)) }))
+    .sort((a,b) => a.distance - b.distance);
+}
+const summary = found => plain(found.map(s => ({ atco: s.feature.properties.AtcoCode, distance: s.distance })));
+
+// same distances in order; stops tied at the last distance may be any of the tied ones
+function assertSameNearest(found, expected, label){
+  assert.deepEqual(found.map(s => s.distance), expected.map(s => s.distance), label);
+  const last = expected.length ? expected[expected.length - 1].distance : 0;
+  const ids = list => list.filter(s => s.distance < last).map(s => s.atco).sort();
+  assert.deepEqual(ids(found), ids(expected), label);
+}
+
+const CELL = evaluate(idx, 'STOP_INDEX_CELL_DEG');
+const POINTS = {
+  'at a stop (Dundalk IT)': [54.0030, -6.3995],
+  'on a cell corner in Dublin': [5335 * CELL, -626 * CELL],
+  'on a cell edge, Cork': [5190 * CELL, -8.4731],
+  'Irish Sea, far from any stop': [53.6, -5.6],
+  'Atlantic, west of the stops': [53.2, -10.9]
+};
+
+test('the index holds every stop with coordinates', () => {
+  assert.equal(index.size, placed.length);
+  assert.ok(index.size > 17000);
+});
+
+test('nearestStops matches a scan of every stop', () => {
+  for(const [label, [lat, lon]] of Object.entries(POINTS)){
+    assert.ok(idx.indexCovers(index, lat, lon), label);
+    for(const k of [1, 5, 25]) assertSameNearest(summary(idx.nearestStops(index, lat, lon, k)), scan(lat, lon).slice(0, k), `${label}, k=${k}`);
+  }
+});
+
+test('nearestStops with a filter matches a filtered scan', () => {
+  const filter = f => f.properties.AtcoCode.endsWith('1');
+  for(const [label, [lat, lon]] of Object.entries(POINTS)){
+    assertSameNearest(summary(idx.nearestStops(index, lat, lon, 5, filter)), scan(lat, lon, filter).slice(0, 5), label);
+  }
+});
+
+test('stopsWithinRadius matches a scan, small radii and ones wider than the grid', () => {
+  for(const [label, [lat, lon]] of Object.entries(POINTS)){
+    for(const radius of [300, 2000, 60000]){
+      const found = summary(idx.stopsWithinRadius(index, lat, lon, radius));
+      const expected = scan(lat, lon).filter(s => s.distance <= radius);
+      assert.equal(found.length, expected.length, `${label}, ${radius} m`);
+      assert.deepEqual(found.map(s => s.atco).sort(), expected.map(s => s.atco).sort(), `${label}, ${radius} m`);
+      assert.deepEqual(found.map(s => s.distance), expected.map(s => s.distance), `${label}, ${radius} m: closest first`);
+    }
+  }
+  assert.ok(idx.stopsWithinRadius(index, ...POINTS['at a stop (Dundalk IT)'], 300).length > 0);
+  assert.equal(idx.stopsWithinRadius(index, ...POINTS['Irish Sea, far from any stop'], 2000).length, 0);
+});
+
+test('points outside what the index covers find nothing', () => {
+  for(const [lat, lon] of [[0, 0], [51.5074, -0.1278], [40.7, -74.0]]){ // null island, London, New York
+    assert.equal(idx.indexCovers(index, lat, lon), false, `${lat},${lon}`);
+    assert.deepEqual(plain(idx.nearestStops(index, lat, lon, 5)), []);
+    assert.deepEqual(plain(idx.stopsWithinRadius(index, lat, lon, 1e6)), []);
+  }
+  assert.deepEqual(plain(idx.nearestStops(idx.buildStopIndex([]), 53.35, -6.26)), []);
+});
+
+test('readNearestOptions reads ?k=, ?radius= and ?access=, ignoring nonsense', () => {
+  assert.deepEqual(plain(idx.readNearestOptions('')), { k: 5, radius: null, access: [] });
+  assert.deepEqual(plain(idx.readNearestOptions('?k=12&radius=750&access=wheelchair, stepfree,')), { k: 12, radius: 750, access: ['wheelchair', 'stepfree'] });
+  assert.deepEqual(plain(idx.readNearestOptions('?k=-3&radius=abc')), { k: 5, radius: null, access: [] });
+});
@@ -0,0 +1,135 @@
+// test/trip-detail.test.js
+// The trip detail panel: the sample feed's stop-time updates for 3113_1 (gtfs-rt-sample.pb) laid over
+// the trip's full stop list from a trip-stops/ shard (trip-index.js), the delay carried on to the stops
+// the feed leaves out, and what app4.js's renderTripDetail shows from the tapped stop on.
+
+process.env.TZ = 'Europe/Dublin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { loadScripts, evaluate, plain, readFixture, fakeElement } = require('./helpers');
+
+const APP4_SCRIPTS = ['pako.min.js', 'i18n.js', 'gtfs-csv.js', 'gtfs-calendar.js', 'trip-index.js', 'stop-index.js', 'stop-facilities.js',
+  'stop-search.js', 'location-source.js', 'route-groups.js', 'stop-map.js', 'favourites.js', 'departure-alerts.js',
+  'gtfs-rt.js', 'journey.js', 'app4.js'];
+
+const at = hhmm => new Date(`2025-11-19T${hhmm}Z`); // Dublin is on UTC in November
+const secs = hhmm => { const [h, m] = hhmm.split(':').map(Number); return h * 3600 + m * 60; };
+
+// 3113_1's timetable: the feed predicts 12 and 20, skips 21 and has no data for 22
+const CALLS = [
+  ['8300B100010', 10, '13:55'], ['8300B100011', 11, '14:02'], ['8300B139911', 12, '14:10'], ['8300B100015', 15, '14:15'],
+  ['8300B138951', 20, '14:20'], ['8300B1070101', 21, '14:23'], ['8300B139921', 22, '14:25'], ['8300B100023', 23, '14:28']
+].map(([stop_id, stop_sequence, time]) => ({ stop_id, stop_sequence, seconds: secs(time) }));
+CALLS[1].seconds = null; // untimed (interpolated) in stop_times.txt
+
+let shardFound = true;
+const shard = () => zlib.gzipSync(JSON.stringify(app4.encodeTripStopsShard([['3113_1', CALLS], ['3113_2', CALLS.slice(0, 2)]])));
+const app4 = loadScripts(APP4_SCRIPTS, {
+  fetch: async url => {
+    if(url === 'trip-stops/3113_0.json.gz' && shardFound){
+      const gz = shard();
+      return { ok: true, status: 200, arrayBuffer: async () => gz.buffer.slice(gz.byteOffset, gz.byteOffset + gz.length) };
+    }
+    // the R2 stop files the fallback reads timetable times from: none for these trips
+    if(url.includes('/stops/')) return { ok: true, status: 200, json: async () => [] };
+    return { ok: false, status: 404 };
+  }
+});
+const t = key => app4.t(key);
+const records = app4.buildRtTripMap(app4.toRealtimeModel(readFixture('gtfs-rt-sample.pb')).arrivals).get('3113_1');
+
+test('trip-stops shards give each trip\'s calls back in order', () => {
+  const json = JSON.parse(zlib.gunzipSync(shard()));
+  assert.equal(json.stops.length, 8); // each stop id once per shard
+  assert.deepEqual(plain(app4.decodeTripStops(json, '3113_1')), CALLS);
+  assert.equal(app4.decodeTripStops(json, '3113_9'), null);
+});
+
+test('tripTimeline carries the delay across the timetable stops the feed leaves out', () => {
+  const serviceDay = at('00:00');
+  const bySequence = new Map(CALLS.map(c => [c.stop_sequence, c]));
+  const timeline = app4.tripTimeline(records, r => {
+    const call = bySequence.get(r.stop_sequence);
+    return call && call.seconds != null ? app4.serviceTimeToDate(serviceDay, call.seconds) : null;
+  }, CALLS);
+  const rows = timeline.map(r => [r.stop_sequence, r.source, r.delaySeconds, r.predicted && r.predicted.toISOString().slice(11, 16)]);
+  assert.deepEqual(plain(rows), [
+    [10, 'none', null, null],          // before the first update: nothing to carry
+    [11, 'none', null, null],
+    [12, 'update', -60, '14:09'],
+    [15, 'propagated', -60, '14:14'],  // not in the feed: a minute early, as at 12
+    [20, 'update', 120, '14:22'],
+    [21, 'none', 120, null],           // SKIPPED passes the delay on
+    [22, 'none', null, null],          // NO_DATA stops it
+    [23, 'none', null, null]
+  ]);
+  assert.equal(timeline[5].stopRelationship, 'SKIPPED');
+});
+
+test('tripTimeline without a stop list is the feed\'s stops alone', () => {
+  assert.deepEqual(plain(app4.tripTimeline(records).map(r => r.stop_sequence)), [12, 20, 21, 22]);
+});
+
+// ----------------- renderTripDetail -----------------
+
+const panelEls = {
+  title: app4.document.register('trip-detail-title'),
+  note: app4.document.register('trip-detail-note'),
+  list: app4.document.register('trip-detail-stops', fakeElement('ol'))
+};
+const board = evaluate(app4, 'board');
+board.rt = { byStop: new Map(), byTrip: new Map([['3113_1', records]]), cancelled: new Set(), vehicles: new Map() };
+
+// the panel for 3113_1 tapped at `atco`, at `now`
+async function panel(atco, now, scheduledThere = at('14:20')){
+  const entry = { atco, tripIndex: new Map([['3113_1', { trip_id: '3113_1', arrival_time: '14:20:00' }]]) };
+  board.trip = { entry, departure: { trip_id: '3113_1', route: '43', headsign: 'Dundalk IT', kind: 'live', scheduled: scheduledThere, expected: at('14:22') } };
+  const Date_ = evaluate(app4, 'Date'), realNow = Date_.now;
+  Date_.now = () => now.getTime();
+  try {
+    await app4.renderTripDetail();
+  } finally {
+    Date_.now = realNow;
+  }
+  return panelEls.list.children.map(li => ({ className: li.className, text: li.textContent }));
+}
+
+test('renderTripDetail lists every stop from the tapped one on, estimated ones marked', async () => {
+  const stops = await panel('8300B139911', at('14:05'), at('14:10'));
+  assert.equal(panelEls.note.textContent, t('trip.allStops'));
+  assert.deepEqual(stops.map(s => s.text.split(' | ')[0]), ['8300B139911', '8300B100015', '8300B138951', '8300B1070101', '8300B139921', '8300B100023']);
+  assert.equal(stops[0].className, 'trip-stop current');
+  assert.equal(stops[1].className, 'trip-stop propagated');
+  assert.equal(stops[1].text, ['8300B100015', app4.t('dep.scheduled', { time: '14:15' }),
+    app4.t('trip.estimated', { time: '14:14' }), app4.t('trip.early', { mins: 1 })].join(' | '));
+  assert.equal(stops[3].className, 'trip-stop skipped');
+  assert.equal(stops[5].text, ['8300B100023', app4.t('dep.scheduled', { time: '14:28' })].join(' | '));
+});
+
+test('renderTripDetail from a stop not on the list starts after the last stop passed', async () => {
+  // 12 (14:09) and 15 (14:14) have gone by at 14:16, and with them the untimed 11
+  let stops = await panel('8300B999999', at('14:16'));
+  assert.deepEqual(stops.map(s => s.text.split(' | ')[0]), ['8300B138951', '8300B1070101', '8300B139921', '8300B100023']);
+  assert.ok(!stops.some(s => s.className.includes('current')));
+  // skipped and NO_DATA stops go by on their timetable times
+  stops = await panel('8300B999999', at('14:26'));
+  assert.deepEqual(stops.map(s => s.text.split(' | ')[0]), ['8300B100023']);
+  // all gone: the final stop
+  stops = await panel('8300B999999', at('14:40'));
+  assert.deepEqual(stops.map(s => s.text.split(' | ')[0]), ['8300B100023']);
+});
+
+test('renderTripDetail without a trip-stops shard falls back to the feed\'s stops', async () => {
+  evaluate(app4, 'tripStopShards').clear();
+  shardFound = false;
+  try {
+    const stops = await panel('8300B139911', at('14:05'), at('14:10'));
+    assert.equal(panelEls.note.textContent, t('trip.partial'));
+    assert.deepEqual(stops.map(s => s.text.split(' | ')[0]), ['8300B139911', '8300B138951', '8300B1070101', '8300B139921']);
+  } finally {
+    shardFound = true;
+    evaluate(app4, 'tripStopShards').clear();
+  }
+});
@@ -0,0 +1,49 @@
+// test/trip-index.test.js
+// The committed trip-index/ is a copy of trips.txt.gz in another shape (trip-index.js). Rebuild it
+// in memory from trips.txt.gz and compare with every committed shard and the manifest, so a
+// timetable refresh that forgets `node tools/build-trip-index.js` fails here rather than serving
+// stale service_ids.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { root, loadScripts, evaluate, readFixture } = require('./helpers');
+
+const REBUILD = 'run node tools/build-trip-index.js after changing trips.txt.gz';
+
+const idx = loadScripts(['gtfs-csv.js', 'trip-index.js']);
+const TRIP_INDEX_DIR = evaluate(idx, 'TRIP_INDEX_DIR');
+const dir = path.join(root, TRIP_INDEX_DIR);
+
+// shard key -> Map(trip_id -> service_id), as the build tool groups them
+const expected = new Map();
+for(const { trip_id, service_id } of idx.parseCSV(zlib.gunzipSync(readFixture('trips.txt.gz')).toString('utf8'))){
+  if(!trip_id || !service_id) continue;
+  const key = idx.tripShardKey(trip_id);
+  if(!expected.has(key)) expected.set(key, new Map());
+  expected.get(key).set(trip_id, service_id);
+}
+const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+
+test('the manifest lists the shards and trip counts trips.txt.gz gives', () => {
+  assert.equal(manifest.version, evaluate(idx, 'TRIP_INDEX_VERSION'), REBUILD);
+  assert.equal(manifest.shardSize, evaluate(idx, 'TRIP_SHARD_SIZE'), REBUILD);
+  assert.deepEqual(Object.keys(manifest.shards).sort(), [...expected.keys()].sort(), REBUILD);
+  for(const [key, trips] of expected) assert.equal(manifest.shards[key], trips.size, `${key}: ${REBUILD}`);
+  assert.equal(manifest.trips, [...expected.values()].reduce((n, m) => n + m.size, 0), REBUILD);
+});
+
+test('every committed shard maps its trips to the service_ids in trips.txt.gz', () => {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json.gz'));
+  assert.deepEqual(files.map(f => f.replace('.json.gz', '')).sort(), [...expected.keys()].sort(), `stray or missing shards: ${REBUILD}`);
+  for(const [key, trips] of expected){
+    const shard = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(dir, `${key}.json.gz`))));
+    const got = new Map(idx.decodeTripShard(shard));
+    assert.equal(got.size, trips.size, `${key}: ${REBUILD}`);
+    for(const [trip_id, service_id] of trips){
+      if(got.get(trip_id) !== service_id) assert.fail(`${key}: ${trip_id} has ${got.get(trip_id)}, trips.txt.gz says ${service_id}; ${REBUILD}`);
+    }
+  }
+});
@@ -0,0 +1,115 @@
+// test/vehicles.test.js
+// Bus positions from the sample VehiclePositions feed (gtfs-rt-vehicles-sample.json, the stand-in for
+// the page's ?vehicles= feed) through gtfs-rt.js to the board rows and the map: the newest report per
+// trip, stale positions greyed out, and buses on trips no departure matches left off.
+
+process.env.TZ = 'Europe/Dublin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, evaluate, plain, readFixture, fakeElement } = require('./helpers');
+const { encodeFeedMessage } = require('../tools/build-rt-sample');
+
+const APP4_SCRIPTS = ['i18n.js', 'gtfs-csv.js', 'gtfs-calendar.js', 'trip-index.js', 'stop-index.js', 'stop-facilities.js',
+  'stop-search.js', 'location-source.js', 'route-groups.js', 'stop-map.js', 'favourites.js', 'departure-alerts.js',
+  'gtfs-rt.js', 'journey.js', 'app4.js'];
+
+const pb = readFixture('gtfs-rt-vehicles-sample.pb');
+const source = JSON.parse(readFixture('gtfs-rt-vehicles-sample.json'));
+const NOW = 1763560800000; // the feed's header timestamp, 14:00
+
+const app4 = loadScripts(APP4_SCRIPTS);
+const t = (key, vars) => app4.t(key, vars);
+const vehicles = app4.feedToVehicles(app4.decodeFeedMessage(pb));
+const byTrip = app4.vehiclesByTrip(vehicles);
+
+test('the vehicles .pb is what its JSON source encodes to', () => {
+  assert.ok(encodeFeedMessage(source).equals(pb), 'run node tools/build-rt-sample.js gtfs-rt-vehicles-sample.json after editing it');
+});
+
+test('feedToVehicles keeps every report with a position', () => {
+  // V5000 has a trip but no position: nothing to show
+  assert.deepEqual(plain(vehicles.map(v => v.vehicleId)), ['V1043', 'V1043', 'V2210', 'V3001', 'V4000']);
+  const v = plain(vehicles[0]);
+  assert.equal(v.trip_id, '3113_1');
+  assert.equal(v.route_id, '3113_32198');
+  assert.equal(v.label, '43');
+  assert.equal(v.timestamp, 1763560780000);
+  assert.equal(v.stop_id, '8300B139911');
+  assert.equal(v.currentStatus, 'IN_TRANSIT_TO');
+  assert.ok(Math.abs(v.lat - 54.0102) < 1e-5 && Math.abs(v.lon + 6.4031) < 1e-5);
+  assert.equal(plain(vehicles[4]).trip_id, null);
+});
+
+test('vehiclesByTrip keeps the newest report per trip and drops those without a trip', () => {
+  assert.deepEqual([...byTrip.keys()], ['3113_1', '3113_2', '3113_99']);
+  assert.equal(byTrip.get('3113_1').timestamp, 1763560780000); // not the 13:56:40 one listed after it
+});
+
+test('a position older than VEHICLE_STALE_MS is stale', () => {
+  assert.equal(app4.isVehicleStale(byTrip.get('3113_1'), NOW), false); // 20 s
+  assert.equal(app4.isVehicleStale(byTrip.get('3113_2'), NOW), true);  // 5 min
+  assert.equal(app4.isVehicleStale({ lat: 54, lon: -6.4, timestamp: null }, NOW), true);
+});
+
+test('vehicleText gives the distance to the stop and the age of the position', () => {
+  const stop = { lat: 54.0030, lon: -6.3995 };
+  const [away, age] = app4.vehicleText(byTrip.get('3113_2'), stop, NOW).split(' · ');
+  assert.equal(away, t('vehicle.away', { distance: app4.formatDistance(app4.haversine(54.0021, -6.3987, stop.lat, stop.lon).distance) }));
+  assert.equal(age, t('vehicle.age', { age: t('age.minutes', { mins: 5 }) }));
+  assert.equal(app4.vehicleText(byTrip.get('3113_1'), {}, NOW), t('vehicle.age', { age: t('age.seconds', { secs: 20 }) }));
+});
+
+// ----------------- on the board -----------------
+
+const calendar = app4.buildServiceCalendar([{ service_id: 'WK', monday: '1', tuesday: '1', wednesday: '1', thursday: '1',
+  friday: '1', saturday: '1', sunday: '1', start_date: '20250101', end_date: '20261231' }], []);
+const mapping = { calendar, tripMap: { '3113_1': 'WK', '3113_2': 'WK' } };
+const row43 = (trip_id, time) => ({ trip_id, arrival_time: time, route_short: '43', trip_headsign: 'Dundalk IT' });
+const schedule = [row43('3113_1', '14:20:00'), row43('3113_2', '14:30:00')];
+
+// 8300B138951 with its two timetabled 43s and no TripUpdates, as buildStopCard + updateStopCard leave it
+const entry = {
+  s: { lat: 54.0030, lon: -6.3995 }, atco: '8300B138951', routes: [], schedule,
+  tripIndex: new Map(schedule.map(r => [r.trip_id, r])),
+  list: fakeElement('ul'), stale: fakeElement('div'), groups: new Map(), rows: new Map(), updatedAt: NOW
+};
+const departures = app4.mergeDepartures(entry, [], mapping, new Set(), new Date(NOW));
+evaluate(app4, 'syncRows')(entry, departures, byTrip);
+const row = trip_id => [...entry.rows.values()].find(r => r.departure.trip_id === trip_id);
+
+test('rows get the bus on their trip; a bus on a trip no row shows is left off', () => {
+  assert.equal(row('3113_1').vehicle.vehicleId, 'V1043');
+  assert.equal(row('3113_2').vehicle.vehicleId, 'V2210');
+  assert.ok(![...entry.rows.values()].some(r => r.vehicle && r.vehicle.trip_id === '3113_99'));
+});
+
+test('tickBoard greys out the stale position', () => {
+  const board = evaluate(app4, 'board');
+  const Date = evaluate(app4, 'Date'), realNow = Date.now;
+  board.stops = [entry];
+  Date.now = () => NOW; // tickBoard reads the clock itself
+  try {
+    evaluate(app4, 'tickBoard')();
+  } finally {
+    Date.now = realNow;
+    board.stops = [];
+  }
+  assert.equal(row('3113_1').vehicleSpan.className, 'vehicle');
+  assert.equal(row('3113_2').vehicleSpan.className, 'vehicle stale');
+  assert.ok(row('3113_2').vehicleSpan.textContent.endsWith(t('vehicle.age', { age: t('age.minutes', { mins: 5 }) })));
+});
+
+test('the map plots only the buses on the board, near the user, flagging stale ones', () => {
+  const board = evaluate(app4, 'board');
+  board.stops = [entry];
+  try {
+    const near = plain(app4.boardVehicles({ latitude: 54.0030, longitude: -6.3995 }, NOW));
+    assert.deepEqual(near.map(v => [v.label, v.stale]), [['43', false], ['43', true]]);
+    // V3001 (3113_99) and V4000 (no trip) are close by but match nothing on the board
+    assert.equal(near.length, 2);
+    assert.deepEqual(plain(app4.boardVehicles({ latitude: 53.35, longitude: -6.26 }, NOW)), []); // Dublin
+  } finally {
+    board.stops = [];
+  }
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Benchmark: grid stop index (stop-index.js) vs the apps' original linear scan + full sort.
+// Usage: node tools/bench-stop-index.js [queries=200] [k=5]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const root = path.join(__dirname, '..');
+const ctx = vm.createContext({ URLSearchParams });
+vm.runInContext(fs.readFileSync(path.join(root, 'stop-index.js'), 'utf8'), ctx);
+const { buildStopIndex, nearestStops, stopsWithinRadius, greatCircleMetres } = ctx;
+
+const features = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(root, 'stops.geojson.gz')))).features;
+const queries = parseInt(process.argv[2], 10) || 200;
+const k = parseInt(process.argv[3], 10) || 5;
+
+// what renderStops did before: measure every stop, sort everything, keep k
+function linearNearest(lat, lon){
+  return features.map(f => ({ feature: f, distance: Math.round(greatCircleMetres(lat, lon, parseFloat(f.properties.Latitude), parseFloat(f.properties.Longitude))) }))
+    .filter(s => !isNaN(s.distance))
+    .sort((a,b) => a.distance - b.distance)
+    .slice(0, k);
+}
+
+// random points across the island of Ireland
+let seed = 42;
+const rand = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const points = Array.from({ length: queries }, () => [51.4 + rand() * 4, -10.4 + rand() * 4.4]);
+
+function time(label, fn){
+  const t0 = process.hrtime.bigint();
+  const out = fn();
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  console.log(`${label.padEnd(28)} ${ms.toFixed(1).padStart(9)} ms`);
+  return { out, ms };
+}
+
+console.log(`${features.length} stops, ${queries} queries, k=${k}`);
+const { out: index } = time('build index', () => buildStopIndex(features));
+const lin = time('linear scan + sort', () => points.map(([la, lo]) => linearNearest(la, lo)));
+const grid = time('grid k-nearest', () => points.map(([la, lo]) => nearestStops(index, la, lo, k)));
+time('grid within 500 m', () => points.map(([la, lo]) => stopsWithinRadius(index, la, lo, 500)));
+// deep links and the manual picker accept any lat/lon: far-off points must stay cheap
+const far = [[51.5074, -0.1278], [40.7128, -74.006], [0, 0], [55.95, -3.19], [52, -11.2]];
+const remote = time('grid k-nearest, far points', () => far.map(([la, lo]) => nearestStops(index, la, lo, k)));
+time('grid within 50 km, far points', () => far.map(([la, lo]) => stopsWithinRadius(index, la, lo, 50000)));
+remote.out.forEach((found, i) => {
+  const expected = linearNearest(...far[i]);
+  // beyond STOP_INDEX_MAX_OUTSIDE_M nothing is found; nearer, the answer matches the scan
+  if(found.length && expected.map(s => s.distance).join() !== found.map(s => s.distance).join()) remote.mismatch = true;
+});
+
+// the index must agree with the linear scan on every query
+let mismatches = 0;
+lin.out.forEach((expected, i) => {
+  const got = grid.out[i];
+  if(expected.map(s => s.distance).join() !== got.map(s => s.distance).join()) mismatches++;
+});
+console.log(`speed-up ${(lin.ms / grid.ms).toFixed(0)}x, mismatches: ${mismatches}`);
+if(remote.mismatch) console.log('far-point mismatch');
+process.exitCode = mismatches || remote.mismatch ? 1 : 0;
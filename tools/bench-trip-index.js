@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Benchmark: what the pages wait for before a stop's first departures can be drawn, via the whole
+// trips.txt.gz (what the pages did before the trip index) vs the sharded trip index (trip-index.js).
+// For each strategy: time to the first stop's departures (calendar, that stop's trip lookups and
+// scheduledDepartures), time until every stop has them, bytes read, and JS heap retained and at peak.
+// Both use the browser's code (gtfs-csv.js, gtfs-calendar.js, trip-index.js) on local files, with zlib standing in for pako.
+// Usage: node --expose-gc tools/bench-trip-index.js [stops=5] [routesPerStop=4]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const root = path.join(__dirname, '..');
+const ctx = vm.createContext({ console, TextDecoder });
+for(const file of ['gtfs-csv.js', 'gtfs-calendar.js', 'trip-index.js']){
+  vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), ctx);
+}
+const { createCsvParser, parseCSV, buildServiceCalendar, scheduledDepartures, tripShardKey, decodeTripShard } = ctx;
+const TRIP_INDEX_DIR = vm.runInContext('TRIP_INDEX_DIR', ctx);
+
+const stops = parseInt(process.argv[2], 10) || 5;
+const routesPerStop = parseInt(process.argv[3], 10) || 4;
+
+// a stop's schedule is every trip of the routes serving it: pick random routes' trips
+const allTrips = parseCSV(zlib.gunzipSync(fs.readFileSync(path.join(root, 'trips.txt.gz'))).toString('utf8'));
+const byRoute = new Map();
+for(const t of allTrips){
+  if(!byRoute.has(t.route_id)) byRoute.set(t.route_id, []);
+  byRoute.get(t.route_id).push(t.trip_id);
+}
+let seed = 7;
+const rand = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const routeIds = [...byRoute.keys()];
+// stop schedules without stop_times.txt: times spread over the day, the same for both strategies
+const schedules = [];
+for(let s = 0; s < stops; s++){
+  const rows = [];
+  for(let r = 0; r < routesPerStop; r++){
+    for(const trip_id of byRoute.get(routeIds[Math.floor(rand() * routeIds.length)])){
+      const mins = Math.floor(rand() * 20 * 60) + 5 * 60;
+      rows.push({ trip_id, arrival_time: `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}:00` });
+    }
+  }
+  schedules.push(rows);
+}
+const wanted = schedules.flatMap(rows => rows.map(r => r.trip_id));
+allTrips.length = 0;
+byRoute.clear();
+
+const now = new Date();
+
+function heapMB(){
+  if(global.gc) global.gc();
+  return process.memoryUsage().heapUsed / 1048576;
+}
+
+// open(read) -> lookup(ids) -> { trip_id: service_id } to add to the page's tripMap; read(file) counts the bytes
+function run(label, open){
+  const before = heapMB();
+  let peak = 0, bytes = 0;
+  const t0 = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - t0) / 1e6;
+  const read = file => { const buf = fs.readFileSync(path.join(root, file)); bytes += buf.length; return buf; };
+  const calendar = buildServiceCalendar(parseCSV(read('calendar.txt').toString('utf8')), parseCSV(read('calendar_dates.txt').toString('utf8')));
+  const lookup = open(read);
+  const tripMap = {};
+  let firstMs = null, departures = 0;
+  for(const rows of schedules){
+    Object.assign(tripMap, lookup(rows.map(r => r.trip_id)));
+    departures += scheduledDepartures(rows, tripMap, calendar, now).length;
+    if(firstMs == null) firstMs = elapsed();
+    peak = Math.max(peak, process.memoryUsage().heapUsed / 1048576 - before);
+  }
+  const allMs = elapsed();
+  const retained = heapMB() - before;
+  const found = wanted.filter(id => tripMap[id] !== undefined).length;
+  console.log(`${label.padEnd(20)} ${firstMs.toFixed(1).padStart(8)} ms first ${allMs.toFixed(1).padStart(8)} ms all ` +
+    `${(bytes / 1024).toFixed(0).padStart(6)} KB read ${retained.toFixed(1).padStart(6)} MB retained ${peak.toFixed(1).padStart(6)} MB peak  ` +
+    `${found}/${wanted.length} found, ${departures} departures${lookup.note ? lookup.note() : ''}`);
+  return tripMap;
+}
+
+// the pages before the trip index: ungzip and parse every row before the first lookup, and keep
+// them all in the page's tripMap
+function wholeFile(read){
+  let loaded = false;
+  return () => {
+    if(loaded) return {};
+    loaded = true;
+    const all = {};
+    const parser = createCsvParser(row => { if(row.trip_id && row.service_id) all[row.trip_id] = row.service_id; });
+    parser.push(zlib.gunzipSync(read('trips.txt.gz')).toString('utf8'));
+    parser.end();
+    return all;
+  };
+}
+
+// what trip-index-worker.js does: manifest, then only the shards the wanted trips fall in, each once
+function sharded(read){
+  const manifest = JSON.parse(read(`${TRIP_INDEX_DIR}manifest.json`));
+  const shards = new Map();
+  const lookup = ids => {
+    const out = {};
+    for(const id of ids){
+      const key = tripShardKey(id);
+      if(!manifest.shards[key]) continue;
+      if(!shards.has(key)) shards.set(key, new Map(decodeTripShard(JSON.parse(zlib.gunzipSync(read(`${TRIP_INDEX_DIR}${key}.json.gz`)).toString('utf8')))));
+      const service = shards.get(key).get(id);
+      if(service !== undefined) out[id] = service;
+    }
+    return out;
+  };
+  lookup.note = () => `  (${shards.size} of ${Object.keys(manifest.shards).length} shards)`;
+  return lookup;
+}
+
+console.log(`${wanted.length} trips at ${stops} stops x ${routesPerStop} routes${global.gc ? '' : ' (run with --expose-gc for memory figures)'}`);
+const a = run('whole trips.txt.gz', wholeFile);
+const b = run('sharded trip index', sharded);
+const mismatches = wanted.filter(id => a[id] !== b[id]).length;
+console.log(`mismatches: ${mismatches}`);
+process.exitCode = mismatches ? 1 : 0;
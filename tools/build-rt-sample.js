@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Encode a FeedMessage written as protobuf JSON (camelCase names, enums by name, as gtfs-rt.js
+// decodes them) into a binary GTFS-Realtime feed, e.g. the checked-in samples for ?rt=gtfs-rt-sample.pb
+// and ?vehicles=gtfs-rt-vehicles-sample.pb.
+// The field tables are gtfs-rt.js's own, so the decoder reads back exactly what was written.
+// Usage: node tools/build-rt-sample.js [in=gtfs-rt-sample.json] [out=<in>.pb]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const ctx = vm.createContext({ console, TextDecoder, Uint8Array, ArrayBuffer, DataView });
+vm.runInContext(fs.readFileSync(path.join(root, 'gtfs-rt.js'), 'utf8'), ctx);
+// top-level consts aren't context properties
+const { FEED_MESSAGE, pbString, pbUint, pbInt, pbBool, pbFloat, pbDouble } =
+  vm.runInContext('({ FEED_MESSAGE, pbString, pbUint, pbInt, pbBool, pbFloat, pbDouble })', ctx);
+const { PB_VARINT, PB_FIXED64, PB_BYTES, PB_FIXED32 } = vm.runInContext('({ PB_VARINT, PB_FIXED64, PB_BYTES, PB_FIXED32 })', ctx);
+
+// int32/int64 negatives go out as 10-byte two's complement, like protoc writes them
+function varint(n){
+  let v = BigInt.asUintN(64, BigInt(n));
+  const out = [];
+  do {
+    let b = Number(v & 0x7fn);
+    v >>= 7n;
+    if(v) b |= 0x80;
+    out.push(b);
+  } while(v);
+  return Buffer.from(out);
+}
+
+const tag = (field, wire) => varint(field * 8 + wire);
+
+function encodeField(field, read, value){
+  if(read.fields) return withLength(field, encodeMessage(value, read.fields));
+  if(read.names){
+    const entry = Object.entries(read.names).find(([, name]) => name === value);
+    if(!entry && typeof value !== 'number') throw new Error(`Unknown enum value ${value}`);
+    return Buffer.concat([tag(field, PB_VARINT), varint(entry ? entry[0] : value)]);
+  }
+  if(read === pbString) return withLength(field, Buffer.from(value, 'utf8'));
+  if(read === pbUint || read === pbInt) return Buffer.concat([tag(field, PB_VARINT), varint(value)]);
+  if(read === pbBool) return Buffer.concat([tag(field, PB_VARINT), varint(value ? 1 : 0)]);
+  if(read === pbFloat){
+    const b = Buffer.alloc(4);
+    b.writeFloatLE(value);
+    return Buffer.concat([tag(field, PB_FIXED32), b]);
+  }
+  if(read === pbDouble){
+    const b = Buffer.alloc(8);
+    b.writeDoubleLE(value);
+    return Buffer.concat([tag(field, PB_FIXED64), b]);
+  }
+  throw new Error(`No encoder for field ${field}`);
+}
+
+function withLength(field, bytes){
+  return Buffer.concat([tag(field, PB_BYTES), varint(bytes.length), bytes]);
+}
+
+// fields are written in the JSON's key order, so a decoded feed re-encodes to the same bytes
+function encodeMessage(msg, fields){
+  const byName = new Map(Object.entries(fields).map(([no, [name, read, repeated]]) => [name, { no: Number(no), read, repeated }]));
+  const parts = [];
+  for(const [name, value] of Object.entries(msg)){
+    const spec = byName.get(name);
+    if(!spec) throw new Error(`Unknown field ${name}`);
+    for(const v of spec.repeated ? value : [value]) parts.push(encodeField(spec.no, spec.read, v));
+  }
+  return Buffer.concat(parts);
+}
+
+function encodeFeedMessage(feed){
+  return encodeMessage(feed, FEED_MESSAGE);
+}
+
+module.exports = { encodeFeedMessage };
+
+if(require.main === module){
+  const input = process.argv[2] || path.join(root, 'gtfs-rt-sample.json');
+  const output = process.argv[3] || input.replace(/\.json$/, '') + '.pb';
+  const bytes = encodeFeedMessage(JSON.parse(fs.readFileSync(input, 'utf8')));
+  fs.writeFileSync(output, bytes);
+  console.log(`${output}: ${bytes.length} bytes`);
+}
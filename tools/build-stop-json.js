@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+// Build the per-stop schedule JSON (what R2 serves as stops/<AtcoCode>.json) and stops.geojson.gz
+// from a raw GTFS zip, validate the feed and print a summary report.
+// Usage: node tools/build-stop-json.js <gtfs.zip> [outDir=build] [--merge-stops stops.geojson.gz] [--strict]
+//
+// outDir gets stops/<stop_id>.json, stops.geojson.gz, trips.txt.gz, trip-index/, trip-stops/ (each trip's
+// stop list, for app4's trip detail), calendar.txt, calendar_dates.txt and report.json, i.e. a complete
+// data drop: open the apps with ?data=<outDir>/ to use it.
+// --merge-stops keeps the richer properties (Irish names, facilities, Bearing) of an existing
+// stops.geojson.gz for stops it already has; new stops only get what stops.txt carries.
+// --strict exits non-zero when validation finds errors.
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const root = path.join(__dirname, '..');
+const ctx = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(root, 'gtfs-csv.js'), 'utf8'), ctx);
+vm.runInContext(fs.readFileSync(path.join(root, 'gtfs-calendar.js'), 'utf8'), ctx);
+vm.runInContext(fs.readFileSync(path.join(root, 'trip-index.js'), 'utf8'), ctx);
+const { createCsvParser, gtfsTimeToSeconds, tripShardKey, encodeTripStopsShard } = ctx;
+const TRIP_STOPS_DIR = vm.runInContext('TRIP_STOPS_DIR', ctx);
+const { writeTripIndex } = require('./build-trip-index');
+
+const REPORT_EXAMPLES = 5; // ids listed per validation problem
+
+// ----------------- zip reader (no dependencies; deflate via zlib) -----------------
+const EOCD_SIG = 0x06054b50, CEN_SIG = 0x02014b50, LOC_SIG = 0x04034b50;
+
+// central directory -> Map(basename -> { name, method, compressedSize, offset })
+function readZipDirectory(fd){
+  const size = fs.fstatSync(fd).size;
+  const tailLen = Math.min(size, 0xffff + 22);
+  const tail = Buffer.alloc(tailLen);
+  fs.readSync(fd, tail, 0, tailLen, size - tailLen);
+  let eocd = -1;
+  for(let i = tailLen - 22; i >= 0; i--) if(tail.readUInt32LE(i) === EOCD_SIG){ eocd = i; break; }
+  if(eocd < 0) throw new Error('Not a zip file (no end of central directory)');
+  const count = tail.readUInt16LE(eocd + 10);
+  const cenSize = tail.readUInt32LE(eocd + 12);
+  const cenOffset = tail.readUInt32LE(eocd + 16);
+  if(cenOffset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+  const cen = Buffer.alloc(cenSize);
+  fs.readSync(fd, cen, 0, cenSize, cenOffset);
+  const entries = new Map();
+  for(let p = 0, i = 0; i < count; i++){
+    if(cen.readUInt32LE(p) !== CEN_SIG) throw new Error('Corrupt zip central directory');
+    const nameLen = cen.readUInt16LE(p + 28), extraLen = cen.readUInt16LE(p + 30), commentLen = cen.readUInt16LE(p + 32);
+    const name = cen.toString('utf8', p + 46, p + 46 + nameLen);
+    const entry = { name, method: cen.readUInt16LE(p + 10), compressedSize: cen.readUInt32LE(p + 20), offset: cen.readUInt32LE(p + 42) };
+    if(!name.endsWith('/')) entries.set(path.posix.basename(name), entry); // feeds are sometimes zipped inside a folder
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// readable stream of one entry's uncompressed bytes
+function openZipEntry(file, fd, entry){
+  const loc = Buffer.alloc(30);
+  fs.readSync(fd, loc, 0, 30, entry.offset);
+  if(loc.readUInt32LE(0) !== LOC_SIG) throw new Error(`Corrupt zip entry ${entry.name}`);
+  const start = entry.offset + 30 + loc.readUInt16LE(26) + loc.readUInt16LE(28);
+  if(!entry.compressedSize) return Readable.from([]);
+  const raw = fs.createReadStream(file, { start, end: start + entry.compressedSize - 1 });
+  if(entry.method === 0) return raw;
+  if(entry.method === 8) return raw.pipe(zlib.createInflateRaw());
+  throw new Error(`${entry.name}: unsupported zip compression method ${entry.method}`);
+}
+
+// stream a CSV entry through gtfs-csv.js; resolves with the row count
+async function readZipCsv(zip, name, onRow){
+  const entry = zip.entries.get(name);
+  if(!entry) throw new Error(`${name} missing from ${zip.file}`);
+  let count = 0;
+  const parser = createCsvParser(row => { count++; onRow(row); });
+  const decoder = new TextDecoder('utf-8');
+  for await (const chunk of openZipEntry(zip.file, zip.fd, entry)) parser.push(decoder.decode(chunk, { stream: true }));
+  parser.push(decoder.decode());
+  parser.end();
+  return count;
+}
+
+async function readZipText(zip, name){
+  const entry = zip.entries.get(name);
+  if(!entry) return null;
+  const chunks = [];
+  for await (const chunk of openZipEntry(zip.file, zip.fd, entry)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// ----------------- helpers -----------------
+function secondsToGtfsTime(secs){
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(secs / 3600))}:${pad(Math.floor(secs / 60) % 60)}:${pad(secs % 60)}`;
+}
+
+// problem name -> { count, examples: [] }
+function createIssues(){
+  const issues = {};
+  return {
+    add(kind, id){
+      const it = issues[kind] || (issues[kind] = { count: 0, examples: [] });
+      it.count++;
+      if(it.examples.length < REPORT_EXAMPLES && id !== undefined && !it.examples.includes(id)) it.examples.push(id);
+    },
+    all: issues
+  };
+}
+
+// trip-stops/<key>.json.gz (trip-index.js): each trip's calls in stop_sequence order, a shard at a time.
+// tripCalls[n] is trip n's [stop_sequence, stop number, seconds | null, ...]; returns the shard count
+function writeTripStops(tripIds, tripCalls, stopIds, outDir){
+  const dir = path.join(outDir, TRIP_STOPS_DIR);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const shards = new Map(); // key -> [trip number]
+  tripIds.forEach((id, n) => {
+    if(!tripCalls[n]) return;
+    const key = tripShardKey(id);
+    if(!shards.has(key)) shards.set(key, []);
+    shards.get(key).push(n);
+  });
+  for(const [key, numbers] of shards){
+    const trips = numbers.map(n => {
+      const flat = tripCalls[n], calls = [];
+      for(let i = 0; i < flat.length; i += 3) calls.push({ stop_sequence: flat[i], stop_id: stopIds[flat[i + 1]], seconds: flat[i + 2] });
+      return [tripIds[n], calls.sort((a,b) => a.stop_sequence - b.stop_sequence)];
+    });
+    fs.writeFileSync(path.join(dir, `${key}.json.gz`), zlib.gzipSync(JSON.stringify(encodeTripStopsShard(trips)), { level: 9 }));
+  }
+  return shards.size;
+}
+
+function parseArgs(argv){
+  const opts = { zip: null, outDir: 'build', mergeStops: null, strict: false };
+  const rest = [];
+  for(let i = 0; i < argv.length; i++){
+    if(argv[i] === '--strict') opts.strict = true;
+    else if(argv[i] === '--merge-stops') opts.mergeStops = argv[++i];
+    else rest.push(argv[i]);
+  }
+  [opts.zip, opts.outDir = opts.outDir] = rest;
+  return opts;
+}
+
+// ----------------- build -----------------
+async function build(opts){
+  const fd = fs.openSync(opts.zip, 'r');
+  const zip = { file: opts.zip, fd, entries: readZipDirectory(fd) };
+  const errors = createIssues();   // broken references: the output is missing data because of them
+  const warnings = createIssues(); // legal but worth a look
+  const t0 = Date.now();
+
+  // stops.txt: stop_id -> { name, code, lat, lon }
+  const stops = new Map();
+  await readZipCsv(zip, 'stops.txt', row => {
+    if(!row.stop_id) return errors.add('stops without stop_id');
+    if(row.location_type && row.location_type !== '0') return; // stations / entrances have no times
+    stops.set(row.stop_id, { name: row.stop_name, code: row.stop_code, lat: row.stop_lat, lon: row.stop_lon });
+  });
+
+  // routes.txt: route_id -> short name
+  const routes = new Map();
+  await readZipCsv(zip, 'routes.txt', row => {
+    if(row.route_id) routes.set(row.route_id, row.route_short_name || row.route_long_name || row.route_id);
+  });
+
+  // calendar(_dates).txt: which service_ids exist
+  const services = new Set();
+  const calendarCsv = await readZipText(zip, 'calendar.txt');
+  const calendarDatesCsv = await readZipText(zip, 'calendar_dates.txt');
+  for(const buf of [calendarCsv, calendarDatesCsv]){
+    if(buf) for(const row of ctx.parseCSV(buf.toString('utf8'))) if(row.service_id) services.add(row.service_id);
+  }
+  if(!calendarCsv && !calendarDatesCsv) throw new Error('Feed has neither calendar.txt nor calendar_dates.txt');
+
+  // trips.txt: kept in arrays indexed by trip number to keep stop_times grouping small
+  const tripIds = [], tripRoute = [], tripHeadsign = [];
+  const tripNumber = new Map();
+  const tripsCsv = ['route_id,service_id,trip_id,trip_headsign'];
+  const tripServices = [];
+  const csvField = v => /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  await readZipCsv(zip, 'trips.txt', row => {
+    if(!row.trip_id) return errors.add('trips without trip_id');
+    if(tripNumber.has(row.trip_id)) return errors.add('duplicate trip_id', row.trip_id);
+    if(!routes.has(row.route_id)) errors.add('orphan trips: unknown route_id', row.trip_id);
+    if(!services.has(row.service_id)) errors.add('orphan trips: unknown service_id', row.trip_id);
+    tripNumber.set(row.trip_id, tripIds.length);
+    tripIds.push(row.trip_id);
+    tripRoute.push(routes.get(row.route_id) || '');
+    tripHeadsign.push(row.trip_headsign || '');
+    tripsCsv.push([row.route_id, row.service_id, row.trip_id, row.trip_headsign || ''].map(csvField).join(','));
+    tripServices.push({ trip_id: row.trip_id, service_id: row.service_id });
+  });
+
+  // stop_times.txt: stop_id -> [tripNumber, seconds, tripNumber, seconds, ...], and per trip
+  // [stop_sequence, stop number, seconds | null, ...] for trip-stops/
+  const byStop = new Map();
+  const tripHasTimes = new Uint8Array(tripIds.length);
+  const tripCalls = new Array(tripIds.length);
+  const stopIds = [...stops.keys()];
+  const stopNumber = new Map(stopIds.map((id, i) => [id, i]));
+  const stopTimeRows = await readZipCsv(zip, 'stop_times.txt', row => {
+    const n = tripNumber.get(row.trip_id);
+    if(n === undefined) return errors.add('stop_times for unknown trip_id', row.trip_id);
+    if(!stops.has(row.stop_id)) return errors.add('stop_times for unknown stop_id', row.stop_id);
+    // untimed (interpolated) stops have neither; the per-stop files only list timed calls
+    const secs = gtfsTimeToSeconds(row.arrival_time || row.departure_time);
+    const seq = parseInt(row.stop_sequence, 10);
+    if(isNaN(seq)) errors.add('stop_times without stop_sequence', `${row.trip_id}@${row.stop_id}`);
+    else (tripCalls[n] || (tripCalls[n] = [])).push(seq, stopNumber.get(row.stop_id), secs);
+    if(secs == null) return warnings.add('untimed stop_times rows', `${row.trip_id}@${row.stop_id}`);
+    tripHasTimes[n] = 1;
+    let list = byStop.get(row.stop_id);
+    if(!list) byStop.set(row.stop_id, list = []);
+    list.push(n, secs);
+  });
+  fs.closeSync(fd);
+
+  tripIds.forEach((id, n) => { if(!tripHasTimes[n]) errors.add('orphan trips: no stop_times', id); });
+  for(const id of stops.keys()) if(!byStop.has(id)) warnings.add('stops without times', id);
+
+  // ---- write the drop ----
+  const stopsDir = path.join(opts.outDir, 'stops');
+  fs.mkdirSync(stopsDir, { recursive: true });
+  let rowsWritten = 0;
+  for(const id of stops.keys()){
+    const flat = byStop.get(id) || [];
+    const calls = [];
+    for(let i = 0; i < flat.length; i += 2) calls.push([flat[i], flat[i + 1]]);
+    calls.sort((a,b) => a[1] - b[1]);
+    // stops without times still get a file ([]), so the apps show "no departures" rather than a fetch error
+    const rows = calls.map(([n, secs]) => ({ trip_id: tripIds[n], route_short: tripRoute[n], trip_headsign: tripHeadsign[n], arrival_time: secondsToGtfsTime(secs) }));
+    rowsWritten += rows.length;
+    fs.writeFileSync(path.join(stopsDir, `${id}.json`), JSON.stringify(rows));
+  }
+
+  const existing = new Map();
+  if(opts.mergeStops){
+    for(const f of JSON.parse(zlib.gunzipSync(fs.readFileSync(opts.mergeStops))).features) existing.set(f.properties.AtcoCode, f);
+  }
+  let merged = 0;
+  // GeoJSON positions are numbers; Latitude/Longitude stay stops.txt's strings, as in the published file
+  const features = [...stops].map(([id, s]) => {
+    const old = existing.get(id);
+    if(old){
+      merged++;
+      return { ...old, properties: { ...old.properties, Latitude: s.lat, Longitude: s.lon }, geometry: { type: 'Point', coordinates: [+s.lon, +s.lat] } };
+    }
+    return {
+      type: 'Feature',
+      properties: {
+        AtcoCode: id,
+        PlateCode: s.code || 'nan',
+        SCN_English: s.name || '',
+        SCN_Gaeilge: '',
+        Bearing: 'U',
+        IsSurveyed: '0',
+        Latitude: s.lat,
+        Longitude: s.lon
+      },
+      geometry: { type: 'Point', coordinates: [+s.lon, +s.lat] }
+    };
+  });
+  fs.writeFileSync(path.join(opts.outDir, 'stops.geojson.gz'), zlib.gzipSync(JSON.stringify({ type: 'FeatureCollection', features })));
+  fs.writeFileSync(path.join(opts.outDir, 'trips.txt.gz'), zlib.gzipSync(tripsCsv.join('\n') + '\n'));
+  const tripIndex = writeTripIndex(tripServices, opts.outDir);
+  const tripStopShards = writeTripStops(tripIds, tripCalls, stopIds, opts.outDir);
+  if(calendarCsv) fs.writeFileSync(path.join(opts.outDir, 'calendar.txt'), calendarCsv);
+  fs.writeFileSync(path.join(opts.outDir, 'calendar_dates.txt'), calendarDatesCsv || 'service_id,date,exception_type\n');
+
+  const report = {
+    source: path.basename(opts.zip),
+    builtAt: new Date().toISOString(),
+    seconds: (Date.now() - t0) / 1000,
+    counts: {
+      stops: stops.size,
+      stopsWithTimes: byStop.size,
+      stopsMergedFromExisting: merged,
+      routes: routes.size,
+      services: services.size,
+      tripIndexShards: Object.keys(tripIndex.shards).length,
+      tripStopShards,
+      trips: tripIds.length,
+      stopTimes: stopTimeRows,
+      rowsWritten
+    },
+    errors: errors.all,
+    warnings: warnings.all
+  };
+  fs.writeFileSync(path.join(opts.outDir, 'report.json'), JSON.stringify(report, null, 2));
+  return report;
+}
+
+function printReport(report, outDir){
+  console.log(`Built ${outDir} from ${report.source} in ${report.seconds.toFixed(1)} s`);
+  for(const [k, v] of Object.entries(report.counts)) console.log(`  ${k.padEnd(26)} ${v}`);
+  for(const [label, group] of [['ERROR', report.errors], ['warning', report.warnings]]){
+    for(const [kind, { count, examples }] of Object.entries(group)){
+      console.log(`${label}: ${kind}: ${count}${examples.length ? ` (e.g. ${examples.join(', ')})` : ''}`);
+    }
+  }
+  if(!Object.keys(report.errors).length) console.log('No errors.');
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if(!opts.zip){
+  console.error('Usage: node tools/build-stop-json.js <gtfs.zip> [outDir=build] [--merge-stops stops.geojson.gz] [--strict]');
+  process.exit(2);
+}
+build(opts).then(report => {
+  printReport(report, opts.outDir);
+  if(opts.strict && Object.keys(report.errors).length) process.exitCode = 1;
+}).catch(err => {
+  console.error('Build failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Build the sharded trip index (trip-index.js) from trips.txt.gz.
+// Usage: node tools/build-trip-index.js [trips.txt.gz] [outDir=.]
+// Writes <outDir>/trip-index/manifest.json and one <key>.json.gz per shard, replacing any old shards.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const root = path.join(__dirname, '..');
+const ctx = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(root, 'gtfs-csv.js'), 'utf8'), ctx);
+vm.runInContext(fs.readFileSync(path.join(root, 'trip-index.js'), 'utf8'), ctx);
+const { parseCSV, tripShardKey, encodeTripShard } = ctx;
+// top-level consts aren't context properties
+const [TRIP_INDEX_DIR, TRIP_SHARD_SIZE, TRIP_INDEX_VERSION] = vm.runInContext('[TRIP_INDEX_DIR, TRIP_SHARD_SIZE, TRIP_INDEX_VERSION]', ctx);
+
+// [{ trip_id, service_id }] -> files under outDir; returns the manifest
+function writeTripIndex(rows, outDir){
+  const dir = path.join(outDir, TRIP_INDEX_DIR);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const shards = new Map();
+  for(const row of rows){
+    if(!row.trip_id || !row.service_id) continue;
+    const key = tripShardKey(row.trip_id);
+    if(!shards.has(key)) shards.set(key, []);
+    shards.get(key).push(row);
+  }
+  const manifest = { version: TRIP_INDEX_VERSION, shardSize: TRIP_SHARD_SIZE, trips: 0, shards: {} };
+  for(const [key, list] of [...shards].sort(([a], [b]) => a.localeCompare(b))){
+    fs.writeFileSync(path.join(dir, `${key}.json.gz`), zlib.gzipSync(JSON.stringify(encodeTripShard(list)), { level: 9 }));
+    manifest.shards[key] = list.length;
+    manifest.trips += list.length;
+  }
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+  return manifest;
+}
+
+module.exports = { writeTripIndex };
+
+if(require.main === module){
+  const src = process.argv[2] || path.join(root, 'trips.txt.gz');
+  const outDir = process.argv[3] || root;
+  const rows = parseCSV(zlib.gunzipSync(fs.readFileSync(src)).toString('utf8'));
+  const manifest = writeTripIndex(rows, outDir);
+  const dir = path.join(outDir, TRIP_INDEX_DIR);
+  const sizes = Object.keys(manifest.shards).map(k => fs.statSync(path.join(dir, `${k}.json.gz`)).size);
+  console.log(`${manifest.trips} trips in ${sizes.length} shards under ${dir}`);
+  console.log(`shard size: max ${Math.max(...sizes)} B, mean ${Math.round(sizes.reduce((a,b) => a + b, 0) / sizes.length)} B, total ${sizes.reduce((a,b) => a + b, 0)} B`);
+}
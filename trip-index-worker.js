@@ -0,0 +1,65 @@
+// trip-index-worker.js
+// Web Worker behind createTripIndexClient (trip-index.js): fetches, ungzips and parses only the
+// trip index shards a request needs, off the main thread. Without a trip-index/manifest.json
+// (e.g. an older data drop) it falls back to streaming the whole trips.txt.gz, still in here.
+// Message in: { id, base, tripIds }; out: { id, services: [[trip_id, service_id]] } or { id, error }.
+
+importScripts('pako.min.js', 'gtfs-csv.js', 'trip-index.js');
+
+const sources = new Map(); // base -> Promise({ manifest, shards: Map(key -> Promise(Map)) } | { all: Map })
+
+async function fetchShard(base, key){
+  const resp = await fetch(`${base}${TRIP_INDEX_DIR}${key}.json.gz`);
+  if(!resp.ok) throw new Error(`Cannot fetch trip index shard ${key}: ${resp.status}`);
+  const shard = JSON.parse(pako.ungzip(new Uint8Array(await resp.arrayBuffer()), { to: 'string' }));
+  return new Map(decodeTripShard(shard));
+}
+
+async function openSource(base){
+  const resp = await fetch(`${base}${TRIP_INDEX_DIR}manifest.json`).catch(() => null);
+  if(resp && resp.ok){
+    const manifest = await resp.json();
+    if(manifest.version === TRIP_INDEX_VERSION) return { manifest, shards: new Map() };
+  }
+  // no usable index: everything from trips.txt.gz, streamed (headsigns are quoted and may contain commas)
+  const all = new Map();
+  await streamGzipCSV(`${base}trips.txt.gz`, row => {
+    if(row.trip_id && row.service_id) all.set(row.trip_id, row.service_id);
+  });
+  return { all };
+}
+
+async function lookup(base, tripIds){
+  if(!sources.has(base)){
+    // a failed open is retried on the next request
+    sources.set(base, openSource(base).catch(err => { sources.delete(base); throw err; }));
+  }
+  const source = await sources.get(base);
+  if(source.all) return tripIds.filter(id => source.all.has(id)).map(id => [id, source.all.get(id)]);
+
+  const byShard = new Map();
+  for(const id of tripIds){
+    const key = tripShardKey(id);
+    if(!source.manifest.shards[key]) continue; // not in the feed
+    if(!byShard.has(key)) byShard.set(key, []);
+    byShard.get(key).push(id);
+  }
+  const out = [];
+  await Promise.all([...byShard].map(async ([key, ids]) => {
+    if(!source.shards.has(key)){
+      source.shards.set(key, fetchShard(base, key).catch(err => { source.shards.delete(key); throw err; }));
+    }
+    const shard = await source.shards.get(key);
+    for(const id of ids) if(shard.has(id)) out.push([id, shard.get(id)]);
+  }));
+  return out;
+}
+
+self.onmessage = async ev => {
+  const { id, base, tripIds } = ev.data;
+  try {
+    self.postMessage({ id, services: await lookup(base || '', tripIds) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,102 @@
+// trip-index.js
+// Compact trip_id -> service_id index split into small gzipped shards (trip-index/<key>.json.gz),
+// built by tools/build-trip-index.js. Trip ids are "<agency>_<n>" with each route's trips numbered
+// consecutively, so sharding on the number range keeps a stop's few routes in a few shards.
+// The shards are fetched, ungzipped and parsed in trip-index-worker.js; this file is shared by
+// the worker, the build tools and the page (createTripIndexClient).
+// Each trip's full stop list is sharded the same way under trip-stops/, written by
+// tools/build-stop-json.js for the trip detail panel; feeds list only the stops they predict.
+
+const TRIP_INDEX_DIR = 'trip-index/';
+const TRIP_SHARD_SIZE = 2000;        // trip numbers per shard
+const TRIP_INDEX_VERSION = 1;
+const TRIP_STOPS_DIR = 'trip-stops/';
+
+// "5058_12345" -> "5058_6"; ids without a numeric suffix share their prefix's shard
+function tripShardKey(trip_id){
+  const m = /^(.*)_(\d+)$/.exec(trip_id);
+  if(m) return `${m[1]}_${Math.floor(Number(m[2]) / TRIP_SHARD_SIZE)}`;
+  return `${String(trip_id).split('_')[0]}_x`;
+}
+
+// [{ trip_id, service_id }] -> shard JSON { services: [service_id], trips: { trip_id: service index } }
+function encodeTripShard(rows){
+  const services = [];
+  const serviceIdx = new Map();
+  const trips = {};
+  for(const { trip_id, service_id } of rows){
+    if(!serviceIdx.has(service_id)){ serviceIdx.set(service_id, services.length); services.push(service_id); }
+    trips[trip_id] = serviceIdx.get(service_id);
+  }
+  return { services, trips };
+}
+
+// shard JSON -> [[trip_id, service_id]]
+function decodeTripShard(shard){
+  return Object.entries(shard.trips).map(([trip_id, i]) => [trip_id, shard.services[i]]);
+}
+
+// trip_id -> [{ stop_id, stop_sequence, seconds }] -> shard JSON
+// { stops: [stop_id], trips: { trip_id: [stop index, stop_sequence, seconds (null when untimed), ...] } }
+function encodeTripStopsShard(trips){
+  const stops = [];
+  const stopIdx = new Map();
+  const out = {};
+  for(const [trip_id, calls] of trips){
+    const flat = [];
+    for(const { stop_id, stop_sequence, seconds } of calls){
+      if(!stopIdx.has(stop_id)){ stopIdx.set(stop_id, stops.length); stops.push(stop_id); }
+      flat.push(stopIdx.get(stop_id), stop_sequence, seconds);
+    }
+    out[trip_id] = flat;
+  }
+  return { stops, trips: out };
+}
+
+// one trip's stop list from its shard, in stop_sequence order; null when the shard lacks it
+function decodeTripStops(shard, trip_id){
+  const flat = shard.trips[trip_id];
+  if(!flat) return null;
+  const calls = [];
+  for(let i = 0; i < flat.length; i += 3) calls.push({ stop_id: shard.stops[flat[i]], stop_sequence: flat[i + 1], seconds: flat[i + 2] });
+  return calls;
+}
+
+// Page side: resolves trip_ids through the worker and writes them into `tripMap` (trip_id -> service_id),
+// the same object gtfs-calendar.js's scheduledDepartures() reads. Ids the feed doesn't have are
+// remembered so they aren't asked for again.
+function createTripIndexClient(base = '', tripMap = {}, workerUrl = 'trip-index-worker.js'){
+  const worker = new Worker(workerUrl);
+  const pending = new Map(); // request id -> { resolve, reject }
+  const unknown = new Set();
+  let nextId = 0;
+
+  worker.onmessage = ev => {
+    const { id, services, error } = ev.data;
+    const req = pending.get(id);
+    if(!req) return;
+    pending.delete(id);
+    if(error) return req.reject(new Error(error));
+    for(const [trip_id, service_id] of services) tripMap[trip_id] = service_id;
+    req.resolve(services.length);
+  };
+  worker.onerror = ev => {
+    const err = new Error(`Trip index worker failed: ${ev.message || 'unknown error'}`);
+    for(const req of pending.values()) req.reject(err);
+    pending.clear();
+  };
+
+  async function lookup(tripIds){
+    const missing = [...new Set(tripIds)].filter(id => id && !(id in tripMap) && !unknown.has(id));
+    if(!missing.length) return tripMap;
+    const id = nextId++;
+    await new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, base, tripIds: missing });
+    });
+    for(const trip_id of missing) if(!(trip_id in tripMap)) unknown.add(trip_id);
+    return tripMap;
+  }
+
+  return { lookup, tripMap };
+}